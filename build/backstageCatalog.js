@@ -0,0 +1,392 @@
+import YAML from "yaml";
+import { formatNodeName } from "./generateDataModels.js";
+import { validateSettings } from "./validateSettings.js";
+
+/**
+ * Backstage Catalog Converter
+ * @description Maps Backstage software catalog entities to view folders and
+ * back, so the catalog and Master Compass can describe the same ownership
+ *
+ * Catalog to folders:
+ * - Domain, System and Component entities become folders, nested through
+ *   `subdomainOf`, `domain`, `subcomponentOf` and `system`; entities without a
+ *   parent sit directly under the view
+ * - `metadata.title` becomes `name` and `metadata.description` `description`
+ * - `spec.owner` becomes `owner`: the Group's `profile.displayName` (or its
+ *   name), with the Group's `profile.email` as contact. Owners equal to the
+ *   parent's are left to inheritance
+ *
+ * Folders to catalog:
+ * - Nodes one level below the view become Domains, two levels Systems and
+ *   deeper ones Components (`subcomponentOf` their parent below that)
+ * - Every owner becomes a Group, with the owner's contact email
+ * - The node ID is kept in the `master-compass/node-id` annotation, so an
+ *   exported catalog imports back into the same folders
+ */
+
+/**
+ * Entity kinds read from the catalog
+ */
+export const CATALOG_KINDS = ["Domain", "System", "Component", "Group"];
+
+const API_VERSION = "backstage.io/v1alpha1";
+const NODE_ID_ANNOTATION = "master-compass/node-id";
+const UNKNOWN_OWNER = "unknown";
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * The relation pointing at each kind's parent, in order of preference
+ */
+const PARENT_RELATIONS = {
+	domain: [{ field: "subdomainOf", kind: "domain" }],
+	system: [{ field: "domain", kind: "domain" }],
+	component: [
+		{ field: "subcomponentOf", kind: "component" },
+		{ field: "system", kind: "system" },
+	],
+};
+
+/**
+ * Parse catalog YAML, which may hold several entities separated by `---`
+ * @param {string} text - YAML text
+ * @param {string} file - File name used in diagnostics
+ * @returns {{entities: Array<Object>, diagnostics: Array<Object>}} -
+ * `{ entity, file }` per catalog entity of a supported kind
+ */
+export function parseCatalog(text, file) {
+	const entities = [];
+	const diagnostics = [];
+
+	for (const document of YAML.parseAllDocuments(text)) {
+		if (document.errors.length > 0) {
+			diagnostics.push({
+				level: "error",
+				file,
+				message: `invalid YAML: ${document.errors[0].message}`,
+			});
+			continue;
+		}
+
+		const entity = document.toJSON();
+		if (!entity) continue;
+
+		if (!entity.kind || !entity.metadata?.name) {
+			diagnostics.push({
+				level: "warning",
+				file,
+				message: "skipping a document without kind or metadata.name",
+			});
+		} else if (CATALOG_KINDS.includes(entity.kind)) {
+			entities.push({ entity, file });
+		}
+	}
+
+	return { entities, diagnostics };
+}
+
+/**
+ * Map catalog entities to folder updates under a view
+ * @param {Array<Object>} entities - `{ entity, file }` entries from parseCatalog
+ * @param {Object} options - Conversion options
+ * @param {string} options.view - The view folder to import into
+ * @returns {{rows: Array<Object>, diagnostics: Array<Object>}} - One
+ * `{ id, updates }` per Domain, System and Component, as used by planImport
+ */
+export function catalogToRows(entities, { view }) {
+	const diagnostics = [];
+	const byRef = new Map();
+
+	for (const entry of entities) {
+		const ref = `${entry.entity.kind.toLowerCase()}:${entry.entity.metadata.name}`;
+		if (byRef.has(ref)) {
+			diagnostics.push({
+				level: "warning",
+				file: entry.file,
+				message: `duplicate ${ref}, keeping the one in ${byRef.get(ref).file}`,
+			});
+			continue;
+		}
+		byRef.set(ref, entry);
+	}
+
+	const nodes = [...byRef.values()].filter(
+		({ entity }) => entity.kind !== "Group",
+	);
+	const paths = new Map();
+
+	/**
+	 * Resolve an entity's folder path below the view, parents first
+	 * @param {Object} entry - The catalog entry
+	 * @param {Set<Object>} visiting - Entries on the current path, to stop cycles
+	 * @returns {Array<string>} - Folder names below the view
+	 */
+	const resolvePath = (entry, visiting = new Set()) => {
+		if (paths.has(entry)) return paths.get(entry);
+
+		const parent = findParent(entry, byRef, diagnostics);
+		let parentPath = [];
+		if (parent && visiting.has(parent)) {
+			diagnostics.push({
+				level: "error",
+				file: entry.file,
+				message: `${describeEntity(entry.entity)} is part of a parent cycle`,
+			});
+		} else if (parent) {
+			visiting.add(entry);
+			parentPath = resolvePath(parent, visiting);
+		}
+
+		const result = [...parentPath, getFolderName(entry.entity)];
+		paths.set(entry, result);
+		return result;
+	};
+
+	const owners = new Map(
+		nodes.map((entry) => [
+			entry,
+			resolveOwner(entry.entity.spec?.owner, byRef),
+		]),
+	);
+	const rows = [];
+	const seen = new Map();
+
+	for (const entry of nodes) {
+		const { entity, file } = entry;
+		const id = [view, ...resolvePath(entry)].join("/");
+		if (seen.has(id)) {
+			diagnostics.push({
+				level: "error",
+				file,
+				message: `${describeEntity(entity)} maps to ${id}, like ${describeEntity(seen.get(id))}`,
+			});
+			continue;
+		}
+		seen.set(id, entity);
+
+		const fields = {};
+		if (entity.metadata.title) fields.name = entity.metadata.title;
+		// The generator's default description needs no setting
+		const { description } = entity.metadata;
+		const folderName = id.split("/").at(-1);
+		if (
+			description &&
+			description !== `${formatNodeName(folderName)} segment`
+		) {
+			fields.description = description;
+		}
+
+		// Owners shared with the parent cascade from it anyway
+		const owner = owners.get(entry);
+		const parentOwner = owners.get(findParent(entry, byRef));
+		if (owner && owner.name !== parentOwner?.name) {
+			fields.owner = owner.name;
+			if (owner.email) fields.contactEmail = owner.email;
+		}
+
+		const result = validateSettings(fields, {
+			file: `${file} (${describeEntity(entity)})`,
+		});
+		diagnostics.push(...result.diagnostics);
+		rows.push({ id, updates: result.settings });
+	}
+
+	return { rows, diagnostics };
+}
+
+/**
+ * Serialize a generated view (or subtree) as Backstage catalog entities
+ * @param {Object} root - Generated node to export
+ * @returns {string} - Multi-document catalog-info YAML
+ */
+export function toBackstage(root) {
+	const entities = [];
+	const groups = new Map();
+	const usedNames = new Map();
+
+	/**
+	 * Pick a unique entity name per kind; repeated folder names get their path
+	 * @param {string} kind - Entity kind
+	 * @param {Object} node - Generated node
+	 * @returns {string} - The entity name
+	 */
+	const nameFor = (kind, node) => {
+		const names = usedNames.get(kind) || new Set();
+		usedNames.set(kind, names);
+
+		const segments = node.id.split("/").slice(1);
+		let name = toEntityName(segments.at(-1));
+		if (names.has(name)) name = toEntityName(segments.join("-"));
+		names.add(name);
+		return name;
+	};
+
+	/**
+	 * Reference the Group of a node's owner, adding the Group on first use
+	 * @param {Object} node - Generated node
+	 * @returns {string} - The owner reference
+	 */
+	const ownerRef = (node) => {
+		if (!node.owner || node.owner === "Unknown") return UNKNOWN_OWNER;
+
+		const name = toEntityName(node.owner);
+		if (!groups.has(name)) {
+			const profile = { displayName: node.owner };
+			if (EMAIL_PATTERN.test(node.contact || "")) profile.email = node.contact;
+			groups.set(name, {
+				apiVersion: API_VERSION,
+				kind: "Group",
+				metadata: { name },
+				spec: { type: "team", profile, children: [] },
+			});
+		}
+		return `group:${name}`;
+	};
+
+	/**
+	 * Add the entity of a node and its descendants
+	 * @param {Object} node - Generated node
+	 * @param {Object|null} parent - Entity of the parent node
+	 */
+	const visit = (node, parent) => {
+		const depth = node.id.split("/").length - 1;
+		let entity = null;
+
+		// The view root itself is the catalog, not an entity
+		if (depth > 0) {
+			const kind =
+				depth === 1 ? "Domain" : depth === 2 ? "System" : "Component";
+			const spec = { owner: ownerRef(node) };
+
+			if (kind === "System" && parent) spec.domain = parent.metadata.name;
+			if (kind === "Component") {
+				Object.assign(spec, { type: "service", lifecycle: "production" });
+				if (parent?.kind === "Component") {
+					spec.subcomponentOf = `component:${parent.metadata.name}`;
+				} else if (parent) {
+					spec.system = parent.metadata.name;
+				}
+			}
+
+			entity = {
+				apiVersion: API_VERSION,
+				kind,
+				metadata: {
+					name: nameFor(kind, node),
+					title: node.name,
+					description: node.description,
+					annotations: { [NODE_ID_ANNOTATION]: node.id },
+				},
+				spec,
+			};
+			entities.push(entity);
+		}
+
+		for (const child of node.children || []) {
+			visit(child, entity);
+		}
+	};
+
+	visit(root, null);
+
+	return [...entities, ...groups.values()]
+		.map((entity) => YAML.stringify(entity))
+		.join("---\n");
+}
+
+/**
+ * Find the catalog entry an entity belongs under
+ * @param {Object} entry - The catalog entry
+ * @param {Map<string, Object>} byRef - Entries keyed by "kind:name"
+ * @param {Array<Object>} diagnostics - Collects missing parents (optional)
+ * @returns {Object|null} - The parent entry, or null for top-level entities
+ */
+function findParent(entry, byRef, diagnostics) {
+	const { entity, file } = entry;
+	const relations = PARENT_RELATIONS[entity.kind.toLowerCase()] || [];
+
+	for (const { field, kind } of relations) {
+		const ref = entity.spec?.[field];
+		if (!ref) continue;
+
+		const parent = byRef.get(parseRef(ref, kind));
+		if (parent) return parent;
+
+		diagnostics?.push({
+			level: "warning",
+			file,
+			message: `${describeEntity(entity)} has ${field} "${ref}", which is not in the catalog; placing it higher up`,
+		});
+	}
+
+	return null;
+}
+
+/**
+ * Resolve an owner reference to a display name and contact
+ * @param {string|undefined} ref - The entity's `spec.owner`
+ * @param {Map<string, Object>} byRef - Entries keyed by "kind:name"
+ * @returns {{name: string, email?: string}|null} - The owner, or null when unknown
+ */
+function resolveOwner(ref, byRef) {
+	if (!ref) return null;
+
+	const key = parseRef(ref, "group");
+	const name = key.slice(key.indexOf(":") + 1);
+	if (name.toLowerCase() === UNKNOWN_OWNER) return null;
+
+	const group = byRef.get(key)?.entity;
+	if (!group) return { name };
+
+	const { displayName, email } = group.spec?.profile || {};
+	return {
+		name: displayName || group.metadata.title || name,
+		email: EMAIL_PATTERN.test(email || "") ? email : undefined,
+	};
+}
+
+/**
+ * Normalize an entity reference ("[kind:][namespace/]name") to "kind:name"
+ * Namespaces are ignored: a view holds one catalog.
+ * @param {string} ref - The reference
+ * @param {string} defaultKind - Kind implied by the field
+ * @returns {string} - "kind:name"
+ */
+function parseRef(ref, defaultKind) {
+	const match = /^(?:([^:]+):)?(?:[^/]+\/)?(.+)$/.exec(String(ref).trim());
+	return `${(match[1] || defaultKind).toLowerCase()}:${match[2]}`;
+}
+
+/**
+ * Folder name of an imported entity: the exported node's folder, or its name
+ * @param {Object} entity - The catalog entity
+ * @returns {string} - The folder name
+ */
+function getFolderName(entity) {
+	const nodeId = entity.metadata.annotations?.[NODE_ID_ANNOTATION];
+	return nodeId ? nodeId.split("/").at(-1) : entity.metadata.name;
+}
+
+/**
+ * Build a valid entity name: lowercase letters, digits and single dashes
+ * @param {string} text - Folder or owner name
+ * @returns {string} - Name of at most 63 characters
+ */
+function toEntityName(text) {
+	return (
+		text
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, "-")
+			.replace(/^-+|-+$/g, "")
+			.slice(0, 63)
+			.replace(/-+$/, "") || "node"
+	);
+}
+
+/**
+ * Describe an entity for messages
+ * @param {Object} entity - The catalog entity
+ * @returns {string} - e.g. "Component payments-api"
+ */
+function describeEntity(entity) {
+	return `${entity.kind} ${entity.metadata.name}`;
+}
@@ -0,0 +1,243 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * CODEOWNERS Resolver
+ * @description Derives node owners from GitHub-style CODEOWNERS files
+ *
+ * A node lists the code it is responsible for in its `codePaths` setting.
+ * Each code path is resolved like GitHub resolves a file: the last matching
+ * CODEOWNERS rule wins, and rules from later files win over earlier ones.
+ * A path ending in a glob (e.g. "services/payments/**") stands for the files
+ * inside the directory, so rules for individual files in it (e.g. "*.md")
+ * don't claim the whole directory. Likewise a rule ending in a wildcard
+ * segment (e.g. "services/*") only matches what sits directly in its
+ * directory: not the files of deeper directories, nor a code path such as
+ * "services/**" that stands for them.
+ *
+ * @example
+ * const rules = loadCodeowners([".github/CODEOWNERS"], diagnostics);
+ * resolveCodeOwners(rules, ["services/payments/**"]);
+ * // { owners: ["@acme/payments"], matches: [{ codePath, rule }] }
+ */
+
+/**
+ * Where GitHub looks for a repository's CODEOWNERS file, in order
+ */
+export const CODEOWNERS_LOCATIONS = [
+	".github/CODEOWNERS",
+	"CODEOWNERS",
+	"docs/CODEOWNERS",
+];
+
+/**
+ * Stands for "any file" inside a directory code path
+ */
+const ANY_FILE = "\0";
+
+/**
+ * Find the CODEOWNERS file GitHub would use for a repository
+ * @param {string} rootDir - Repository root
+ * @returns {Array<string>} - The file path, or an empty array when there is none
+ */
+export function findCodeownersFiles(rootDir) {
+	const location = CODEOWNERS_LOCATIONS.find((file) =>
+		fs.existsSync(path.join(rootDir, file)),
+	);
+	return location ? [path.join(rootDir, location)] : [];
+}
+
+/**
+ * Load and parse CODEOWNERS files
+ * A missing file is reported as an error diagnostic and skipped.
+ * @param {Array<string|Object>} files - File paths, or `{ file, prefix }` to
+ * place a file's patterns below a directory (e.g. another checked-out repository)
+ * @param {Array<Object>} diagnostics - Collects problems
+ * @returns {Array<Object>} - Rules of all files, in precedence order (last wins)
+ */
+export function loadCodeowners(files = [], diagnostics = []) {
+	const rules = [];
+
+	for (const entry of files) {
+		const { file, prefix = "" } =
+			typeof entry === "string" ? { file: entry } : entry;
+		const displayPath = toPosixPath(path.relative(process.cwd(), file));
+
+		if (!fs.existsSync(file)) {
+			diagnostics.push({
+				level: "error",
+				file: displayPath,
+				message: "CODEOWNERS file not found",
+			});
+			continue;
+		}
+
+		rules.push(
+			...parseCodeowners(fs.readFileSync(file, "utf8"), {
+				file: displayPath,
+				prefix,
+			}),
+		);
+	}
+
+	return rules;
+}
+
+/**
+ * Parse the rules of a CODEOWNERS file
+ * @param {string} text - File contents
+ * @param {Object} options - Parse options
+ * @param {string} options.file - File path recorded on each rule
+ * @param {string} options.prefix - Directory the patterns are relative to
+ * @returns {Array<Object>} - `{ pattern, owners, file, line, regex,
+ * matchesDirectories, matchesNestedFiles }` per rule, in file order
+ */
+export function parseCodeowners(text, { file, prefix = "" } = {}) {
+	const rules = [];
+
+	text.split(/\r?\n/).forEach((rawLine, index) => {
+		const content = rawLine.replace(/(^|\s)#.*$/, "").trim();
+		if (!content) return;
+
+		const [pattern, ...owners] = content.split(/\s+/);
+		rules.push({
+			pattern,
+			owners,
+			file,
+			line: index + 1,
+			regex: patternToRegExp(pattern, prefix),
+			matchesDirectories: matchesDirectories(pattern),
+			matchesNestedFiles: matchesNestedFiles(pattern),
+		});
+	});
+
+	return rules;
+}
+
+/**
+ * Resolve the owners of a node's code paths
+ * @param {Array<Object>} rules - Rules from loadCodeowners
+ * @param {Array<string>} codePaths - The node's `codePaths` setting
+ * @returns {{owners: Array<string>, matches: Array<Object>}} - The owners of
+ * all code paths (without duplicates) and the winning rule of each path (null
+ * when no rule matches)
+ */
+export function resolveCodeOwners(rules, codePaths) {
+	const owners = [];
+	const matches = codePaths.map((codePath) => {
+		const candidates = getCandidatePaths(codePath);
+		const anyDepth = codePath.includes("**");
+		// Parent directories only match rules that can name a directory, and
+		// files at any depth only rules that reach below direct children
+		const rule = rules.findLast((r) =>
+			candidates.some(
+				(candidate, i) =>
+					(i === 0
+						? !anyDepth || r.matchesNestedFiles
+						: r.matchesDirectories) && r.regex.test(candidate),
+			),
+		);
+
+		for (const owner of rule?.owners || []) {
+			if (!owners.includes(owner)) owners.push(owner);
+		}
+		return { codePath, rule: rule || null };
+	});
+
+	return { owners, matches };
+}
+
+/**
+ * List the paths a code path is matched with: the path itself and every
+ * parent directory, since a rule for a directory covers everything below it
+ * @param {string} codePath - A `codePaths` entry
+ * @returns {Array<string>} - Candidate paths, deepest first
+ */
+function getCandidatePaths(codePath) {
+	const normalized = codePath.replace(/^\/+/, "");
+	const globIndex = normalized.search(/[*?[]/);
+
+	// A glob stands for any file below its literal directory
+	const target =
+		globIndex === -1
+			? normalized.replace(/\/+$/, "")
+			: `${normalized.slice(0, globIndex).replace(/[^/]*$/, "")}${ANY_FILE}`;
+
+	const segments = target.split("/").filter(Boolean);
+	return segments.map((_segment, i) =>
+		segments.slice(0, segments.length - i).join("/"),
+	);
+}
+
+/**
+ * Convert a CODEOWNERS pattern (gitignore syntax) to a regular expression
+ * @param {string} pattern - The pattern, e.g. "/services/payments/" or "*.js"
+ * @param {string} prefix - Directory the pattern is relative to
+ * @returns {RegExp} - Matches repository-relative paths
+ */
+function patternToRegExp(pattern, prefix) {
+	// Patterns with a slash before the end are relative to the root
+	const trimmed = pattern.replace(/\/+$/, "");
+	const anchored = trimmed.includes("/");
+	const body = trimmed.replace(/^\/+/, "");
+
+	let source = "";
+	for (let i = 0; i < body.length; i++) {
+		if (body.startsWith("**/", i)) {
+			source += "(?:.*/)?";
+			i += 2;
+		} else if (body.startsWith("**", i)) {
+			source += ".*";
+			i += 1;
+		} else if (body[i] === "*") {
+			source += "[^/]*";
+		} else if (body[i] === "?") {
+			source += "[^/]";
+		} else {
+			source += body[i].replace(/[.+^${}()|[\]\\]/g, "\\$&");
+		}
+	}
+
+	const root = prefix
+		? `${prefix.replace(/^\/+|\/+$/g, "").replace(/[.+^${}()|[\]\\]/g, "\\$&")}/`
+		: "";
+	return new RegExp(`^${root}${anchored ? "" : "(?:.*/)?"}${source}$`);
+}
+
+/**
+ * Check whether a pattern can match a directory, and so everything below it
+ * A pattern whose last segment has a wildcard (e.g. "docs/*" or "*.md") only
+ * matches entries of its own directory, unless it ends with a slash.
+ * @param {string} pattern - The CODEOWNERS pattern
+ * @returns {boolean} - True when a parent directory can match the pattern
+ */
+function matchesDirectories(pattern) {
+	if (pattern.endsWith("/")) return true;
+	return !/[*?[]/.test(pattern.slice(pattern.lastIndexOf("/") + 1));
+}
+
+/**
+ * Check whether a pattern can match files at any depth below its directory
+ * A pattern with a slash is anchored, so a wildcard last segment (e.g.
+ * "docs/*") only matches direct children; "docs/**" and patterns without a
+ * slash (e.g. "*") match at every depth.
+ * @param {string} pattern - The CODEOWNERS pattern
+ * @returns {boolean} - True when the files of a "dir/**" code path can match
+ */
+function matchesNestedFiles(pattern) {
+	const trimmed = pattern.replace(/\/+$/, "");
+	return (
+		!trimmed.includes("/") ||
+		trimmed.endsWith("/**") ||
+		matchesDirectories(pattern)
+	);
+}
+
+/**
+ * Convert a platform path to forward slashes
+ * @param {string} filePath - The path to convert
+ * @returns {string} - The path using "/" separators
+ */
+function toPosixPath(filePath) {
+	return filePath.split(path.sep).join("/");
+}
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseCodeowners, resolveCodeOwners } from "./codeowners.js";
+
+/**
+ * Resolve the owners of one code path
+ * @param {string} text - CODEOWNERS contents
+ * @param {string} codePath - The code path
+ * @returns {Array<string>} - The owners of the winning rule
+ */
+function ownersOf(text, codePath) {
+	return resolveCodeOwners(parseCodeowners(text), [codePath]).owners;
+}
+
+test("a directory rule covers the files below it", () => {
+	const text = "services/ @services";
+
+	assert.deepEqual(ownersOf(text, "services/payments/**"), ["@services"]);
+	assert.deepEqual(ownersOf(text, "services/payments/api/handler.js"), [
+		"@services",
+	]);
+});
+
+test("a dir/* rule doesn't claim nested paths", () => {
+	const text = "services/ @services\nservices/* @flat";
+
+	assert.deepEqual(ownersOf(text, "services/payments/**"), ["@services"]);
+	assert.deepEqual(ownersOf(text, "services/payments/api/handler.js"), [
+		"@services",
+	]);
+	assert.deepEqual(ownersOf(text, "services/README.md"), ["@flat"]);
+});
+
+test("a file rule doesn't claim a directory code path", () => {
+	const text = "services/ @services\n*.md @docs";
+
+	assert.deepEqual(ownersOf(text, "services/payments/**"), ["@services"]);
+	assert.deepEqual(ownersOf(text, "services/payments/README.md"), ["@docs"]);
+});
+
+test("a dir/* rule doesn't claim a dir/** code path", () => {
+	const text = "services/** @deep\nservices/* @flat";
+
+	assert.deepEqual(ownersOf(text, "services/**"), ["@deep"]);
+	assert.deepEqual(ownersOf(text, "services/payments/handler.js"), ["@deep"]);
+	assert.deepEqual(ownersOf(text, "services/*.js"), ["@flat"]);
+});
+
+test("a bare * rule still covers every code path", () => {
+	assert.deepEqual(ownersOf("* @everyone", "services/payments/**"), [
+		"@everyone",
+	]);
+});
@@ -0,0 +1,115 @@
+/**
+ * Ownership Coverage Report
+ * @description Measures how much of each view has an owner and a contact
+ *
+ * A node counts as owned when it has an owner (own or inherited) other than
+ * "Unknown", and as reachable when it has a contact. Every node missing
+ * either is listed as a gap with its folder path, so it can be fixed at the
+ * source.
+ */
+
+/**
+ * Check whether a generated node has a usable owner
+ * @param {Object} node - Generated node data
+ * @returns {boolean} - True when the node has an owner
+ */
+export function hasOwner(node) {
+	return !!node.owner && node.owner !== "Unknown";
+}
+
+/**
+ * Build the coverage report for all generated views
+ * @param {Object} generatedViews - Map of view names to their root node
+ * @returns {Object} - Report with per-view totals, percentages and gaps
+ */
+export function buildCoverageReport(generatedViews) {
+	const views = {};
+
+	for (const [viewName, root] of Object.entries(generatedViews)) {
+		const stats = {
+			totalNodes: 0,
+			withOwner: 0,
+			withContact: 0,
+			covered: 0,
+			gaps: [],
+		};
+
+		walk(root, (node) => {
+			const missing = [];
+			if (!hasOwner(node)) missing.push("owner");
+			if (!node.contact) missing.push("contact");
+
+			stats.totalNodes++;
+			if (!missing.includes("owner")) stats.withOwner++;
+			if (!missing.includes("contact")) stats.withContact++;
+
+			if (missing.length === 0) {
+				stats.covered++;
+			} else {
+				stats.gaps.push({ id: node.id, folder: node.folder, missing });
+			}
+		});
+
+		views[viewName] = {
+			...stats,
+			ownerCoverage: percentage(stats.withOwner, stats.totalNodes),
+			contactCoverage: percentage(stats.withContact, stats.totalNodes),
+			coverage: percentage(stats.covered, stats.totalNodes),
+		};
+	}
+
+	return { views };
+}
+
+/**
+ * Format the coverage report for the console
+ * @param {Object} report - Report from buildCoverageReport
+ * @param {Object} options - Formatting options
+ * @param {number} options.maxGaps - Maximum gaps listed per view
+ * @returns {string} - The formatted report
+ */
+export function formatCoverageReport(report, { maxGaps = 10 } = {}) {
+	const lines = ["Ownership coverage:"];
+
+	for (const [viewName, stats] of Object.entries(report.views)) {
+		lines.push(
+			`  ${viewName}: ${stats.coverage}% covered ` +
+				`(owner ${stats.withOwner}/${stats.totalNodes}, ` +
+				`contact ${stats.withContact}/${stats.totalNodes})`,
+		);
+
+		for (const gap of stats.gaps.slice(0, maxGaps)) {
+			lines.push(`    - ${gap.folder}: missing ${gap.missing.join(", ")}`);
+		}
+
+		if (stats.gaps.length > maxGaps) {
+			lines.push(
+				`    ... and ${stats.gaps.length - maxGaps} more (see coverage.json)`,
+			);
+		}
+	}
+
+	return lines.join("\n");
+}
+
+/**
+ * Visit every node of a generated tree, depth first
+ * @param {Object} node - Generated node data
+ * @param {Function} visit - Called with each node
+ */
+function walk(node, visit) {
+	visit(node);
+	for (const child of node.children || []) {
+		walk(child, visit);
+	}
+}
+
+/**
+ * Compute a percentage rounded to one decimal
+ * @param {number} part - Matching count
+ * @param {number} total - Total count
+ * @returns {number} - Percentage between 0 and 100
+ */
+function percentage(part, total) {
+	return total === 0 ? 100 : Math.round((part / total) * 1000) / 10;
+}
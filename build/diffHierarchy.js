@@ -0,0 +1,217 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { findCodeownersFiles, loadCodeowners } from "./codeowners.js";
+import { buildDiffReport, formatDiffReport } from "./diffReport.js";
+import { buildView, getViewDirectories } from "./generateDataModels.js";
+import { formatDiagnostics } from "./validateSettings.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Hierarchy Diff Command
+ * @description Compares two snapshots of the org data and reports what was
+ * added, removed, moved, renamed or changed
+ *
+ * A snapshot is either a data directory (like src/data) or a generated view
+ * file (src/generated/<View>.js, or a JSON export of a view). The report is
+ * printed and written as JSON; the app picks it up from public/ and can
+ * overlay it on the visualization.
+ *
+ * @example
+ * git worktree add ../compass-main main
+ * pnpm diff ../compass-main/src/data
+ * pnpm diff old/Domain-Team-View.js src/generated/Domain-Team-View.js --json
+ */
+
+const USAGE = `Usage: pnpm diff <before> [after] [options]
+
+Arguments:
+  <before>      Data directory or generated view file (.js or .json) to compare from
+  [after]       Data directory or generated view file to compare to (default: src/data)
+
+Options:
+  --out <file>  Where to write the JSON report (default: public/compass-diff.json)
+  --json        Print the JSON report instead of the text summary
+  --help        Show this help`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - Parsed options, with `before` and `after` paths
+ */
+function parseOptions(args) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			out: { type: "string", default: "public/compass-diff.json" },
+			json: { type: "boolean", default: false },
+			help: { type: "boolean", default: false },
+		},
+	});
+
+	const [before, after, ...extra] = positionals;
+	if (extra.length > 0) {
+		throw new Error(`Unexpected argument "${extra[0]}"`);
+	}
+
+	return { ...values, before, after };
+}
+
+/**
+ * Load a snapshot of the views
+ * @param {string} snapshotPath - Data directory or generated view file
+ * @param {Array<Object>} diagnostics - Collects settings validation problems
+ * @param {Array<Object>} codeowners - Parsed CODEOWNERS rules for data directories
+ * @returns {Promise<Object>} - Map of view names to their root node
+ */
+export async function loadSnapshot(
+	snapshotPath,
+	diagnostics = [],
+	codeowners = [],
+) {
+	const fullPath = path.resolve(snapshotPath);
+	if (!fs.existsSync(fullPath)) {
+		throw new Error(`Snapshot not found: ${snapshotPath}`);
+	}
+
+	if (fs.statSync(fullPath).isDirectory()) {
+		const views = {};
+		for (const viewName of getViewDirectories(fullPath)) {
+			views[viewName] = (
+				await buildView(fullPath, viewName, diagnostics, { codeowners })
+			).data;
+		}
+		return views;
+	}
+
+	// Generated modules are `export default <JSON>;`, so no import is needed
+	const source = fs
+		.readFileSync(fullPath, "utf8")
+		.replace(/^\s*export default\s*/, "")
+		.replace(/;\s*$/, "");
+
+	let root;
+	try {
+		root = JSON.parse(source);
+	} catch {
+		throw new Error(`Not a generated view file: ${snapshotPath}`);
+	}
+	if (typeof root?.name !== "string") {
+		throw new Error(`Not a generated view file: ${snapshotPath}`);
+	}
+
+	// Files generated before nodes had IDs: rebuild them from the names
+	if (!root.id) assignIds(root, path.parse(fullPath).name);
+
+	return { [root.id]: root };
+}
+
+/**
+ * Give the nodes of an older generated view the IDs the generator would
+ * Display names default to the folder name with dashes as spaces, so the
+ * spaces turn back into dashes; a custom `name` can't be traced back to its
+ * folder and shows up as a rename or an addition.
+ * @param {Object} node - The node to fill in, with its descendants
+ * @param {string} id - The node's ID (the view folder name for the root)
+ */
+function assignIds(node, id) {
+	node.id = id;
+	for (const child of node.children || []) {
+		assignIds(child, `${id}/${child.name.trim().replace(/\s+/g, "-")}`);
+	}
+}
+
+/**
+ * Check whether a snapshot is a single generated view file
+ * @param {string} snapshotPath - Data directory or generated view file
+ * @returns {boolean} - True for a file
+ */
+function isViewFile(snapshotPath) {
+	return fs.statSync(path.resolve(snapshotPath)).isFile();
+}
+
+/**
+ * Keep only the views that another snapshot also has
+ * @param {Object} views - Map of view names to their root node
+ * @param {Object} reference - Snapshot whose view names are kept
+ * @returns {Object} - The filtered map
+ */
+function pickViews(views, reference) {
+	return Object.fromEntries(
+		Object.entries(views).filter(([viewName]) => viewName in reference),
+	);
+}
+
+/**
+ * Compare two snapshots and write the JSON report
+ * @param {Object} options - Parsed command line options, plus the
+ * `codeowners` files to resolve codePaths with
+ * @param {string} defaultAfter - Snapshot to compare to when none is given
+ * @returns {Promise<Object>} - The diff report
+ */
+export async function diffHierarchy(options, defaultAfter) {
+	if (!options.before) {
+		throw new Error("Missing the snapshot to compare from");
+	}
+
+	const afterPath = options.after || defaultAfter;
+	const diagnostics = [];
+	const codeowners = loadCodeowners(options.codeowners, diagnostics);
+	let before = await loadSnapshot(options.before, diagnostics, codeowners);
+	let after = await loadSnapshot(afterPath, diagnostics, codeowners);
+
+	// A view file holds one view: compare it with that view only
+	if (isViewFile(options.before)) after = pickViews(after, before);
+	if (isViewFile(afterPath)) before = pickViews(before, after);
+
+	// Problems in _settings.js are worth knowing about, but don't block a diff
+	const problems = formatDiagnostics(diagnostics);
+	if (problems) console.warn(`${problems}\n`);
+
+	const report = {
+		before: options.before,
+		after: path.relative(process.cwd(), afterPath) || ".",
+		...buildDiffReport(before, after),
+	};
+
+	const outputPath = path.resolve(options.out);
+	fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+	fs.writeFileSync(outputPath, `${JSON.stringify(report, null, 2)}\n`);
+
+	return report;
+}
+
+/**
+ * Run the diff if executed directly
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const projectRoot = path.resolve(__dirname, "..");
+	const dataDir = path.join(projectRoot, "src", "data");
+
+	try {
+		const options = parseOptions(process.argv.slice(2));
+
+		if (options.help) {
+			console.log(USAGE);
+		} else {
+			const report = await diffHierarchy(
+				{ ...options, codeowners: findCodeownersFiles(projectRoot) },
+				dataDir,
+			);
+			if (options.json) {
+				console.log(JSON.stringify(report, null, 2));
+			} else {
+				console.log(formatDiffReport(report));
+				console.log(`\nReport written to ${options.out}`);
+			}
+		}
+	} catch (error) {
+		console.error(error.message);
+		console.error(`\n${USAGE}`);
+		process.exitCode = 1;
+	}
+}
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { loadSnapshot } from "./diffHierarchy.js";
+import { buildDiffReport } from "./diffReport.js";
+
+let directory;
+
+before(() => {
+	directory = fs.mkdtempSync(path.join(os.tmpdir(), "compass-diff-"));
+});
+
+after(() => {
+	fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Write a generated view module
+ * @param {string} fileName - Path inside the temporary directory
+ * @param {Object} root - The view root
+ * @returns {string} - Path of the written file
+ */
+function writeView(fileName, root) {
+	const filePath = path.join(directory, fileName);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(
+		filePath,
+		`export default ${JSON.stringify(root, null, 2)};\n`,
+	);
+	return filePath;
+}
+
+test("rebuilds the IDs of a view file generated before nodes had IDs", async () => {
+	const filePath = writeView("Domain-Team-View.js", {
+		name: "Domain Team View",
+		children: [
+			{
+				name: "Small Size Clients",
+				children: [{ name: "DB Team", size: 1000 }],
+			},
+		],
+	});
+
+	const snapshot = await loadSnapshot(filePath);
+	const root = snapshot["Domain-Team-View"];
+
+	assert.equal(root.id, "Domain-Team-View");
+	assert.equal(root.children[0].id, "Domain-Team-View/Small-Size-Clients");
+	assert.equal(
+		root.children[0].children[0].id,
+		"Domain-Team-View/Small-Size-Clients/DB-Team",
+	);
+});
+
+test("diffs a baseline view file against a current one", async () => {
+	const baseline = writeView("baseline/Domain-Team-View.js", {
+		name: "Domain Team View",
+		children: [
+			{
+				name: "Small Size Clients",
+				owner: "Jane",
+				children: [{ name: "DB Team", size: 1000 }],
+			},
+		],
+	});
+	const current = writeView("current/Domain-Team-View.js", {
+		id: "Domain-Team-View",
+		folder: "src/data/Domain-Team-View",
+		name: "Domain Team View",
+		children: [
+			{
+				id: "Domain-Team-View/Small-Size-Clients",
+				folder: "src/data/Domain-Team-View/Small-Size-Clients",
+				name: "Small Size Clients",
+				owner: "John",
+				children: [
+					{
+						id: "Domain-Team-View/Small-Size-Clients/DB-Team",
+						folder: "src/data/Domain-Team-View/Small-Size-Clients/DB-Team",
+						name: "DB Team",
+						size: 1000,
+					},
+				],
+			},
+		],
+	});
+
+	const report = buildDiffReport(
+		await loadSnapshot(baseline),
+		await loadSnapshot(current),
+	);
+
+	assert.deepEqual(
+		report.changes.map(({ type, id }) => ({ type, id })),
+		[{ type: "changed", id: "Domain-Team-View/Small-Size-Clients" }],
+	);
+});
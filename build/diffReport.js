@@ -0,0 +1,261 @@
+/**
+ * Hierarchy Diff Report
+ * @description Compares two snapshots of the generated views and classifies
+ * what changed between them, so a reorg can be reviewed before it is merged
+ *
+ * Nodes are matched by ID first. Nodes whose ID changed are then matched, from
+ * the top down, by their folder name:
+ * - under the new location of their matched parent (carried along by a move)
+ * - anywhere in the view, when the folder name is unique (moved)
+ * - under the same parent, when it is the only removed and the only added
+ *   folder there (renamed folder)
+ *
+ * Every node is reported at most once, with the first type that applies:
+ * - added / removed - no match on the other side
+ * - moved - its parent changed (nodes carried along are not reported as moved)
+ * - renamed - its display name or folder name changed
+ * - changed - its owner, contact or description changed
+ */
+
+/**
+ * Change types, in reporting order
+ */
+export const CHANGE_TYPES = ["added", "removed", "moved", "renamed", "changed"];
+
+/**
+ * Fields compared between matched nodes
+ */
+export const COMPARED_FIELDS = ["owner", "contact", "description"];
+
+/**
+ * Build the diff report between two snapshots
+ * @param {Object} before - Map of view names to their root node, before the change
+ * @param {Object} after - Map of view names to their root node, after the change
+ * @returns {Object} - Report with per-type totals and a list of changes
+ */
+export function buildDiffReport(before, after) {
+	const viewNames = [
+		...new Set([...Object.keys(before), ...Object.keys(after)]),
+	];
+	const changes = viewNames.flatMap((viewName) =>
+		diffView(viewName, before[viewName], after[viewName]),
+	);
+
+	const summary = Object.fromEntries(CHANGE_TYPES.map((type) => [type, 0]));
+	for (const change of changes) summary[change.type]++;
+
+	return { summary, changes };
+}
+
+/**
+ * Format the diff report for the console
+ * @param {Object} report - Report from buildDiffReport
+ * @returns {string} - The formatted report
+ */
+export function formatDiffReport(report) {
+	const totals = CHANGE_TYPES.map((type) => `${report.summary[type]} ${type}`);
+	const lines = [`Hierarchy diff: ${totals.join(", ")}`];
+
+	for (const change of report.changes) {
+		lines.push(`  ${change.type.padEnd(8)} ${describeChange(change)}`);
+		for (const { field, before, after } of change.fields || []) {
+			lines.push(`           ${field}: "${before}" → "${after}"`);
+		}
+	}
+
+	return lines.join("\n");
+}
+
+/**
+ * Diff one view
+ * @param {string} viewName - The view folder name
+ * @param {Object|undefined} beforeRoot - The view root before, if the view existed
+ * @param {Object|undefined} afterRoot - The view root after, if the view exists
+ * @returns {Array<Object>} - The view's changes
+ */
+function diffView(viewName, beforeRoot, afterRoot) {
+	const beforeNodes = indexNodes(beforeRoot);
+	const afterNodes = indexNodes(afterRoot);
+	const matches = matchNodes(beforeNodes, afterNodes);
+	const claimed = new Set(matches.values());
+	const changes = [];
+
+	for (const [beforeId, entry] of beforeNodes) {
+		const afterId = matches.get(beforeId);
+		if (!afterId) {
+			changes.push({
+				type: "removed",
+				view: viewName,
+				id: beforeId,
+				name: entry.node.name,
+			});
+			continue;
+		}
+
+		const change = compareNodes(
+			entry,
+			afterNodes.get(afterId),
+			matches.get(entry.parentId),
+		);
+		if (change) changes.push({ ...change, view: viewName });
+	}
+
+	for (const [afterId, entry] of afterNodes) {
+		if (!claimed.has(afterId)) {
+			changes.push({
+				type: "added",
+				view: viewName,
+				id: afterId,
+				name: entry.node.name,
+			});
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Match the nodes of both snapshots of a view
+ * @param {Map<string, Object>} beforeNodes - Indexed nodes before
+ * @param {Map<string, Object>} afterNodes - Indexed nodes after
+ * @returns {Map<string, string>} - Before ID to after ID
+ */
+function matchNodes(beforeNodes, afterNodes) {
+	const matches = new Map();
+	const claimed = new Set();
+	const match = (beforeId, afterId) => {
+		matches.set(beforeId, afterId);
+		claimed.add(afterId);
+	};
+
+	for (const id of beforeNodes.keys()) {
+		if (afterNodes.has(id)) match(id, id);
+	}
+
+	// Parents come before their children, so moves carry their subtree along
+	for (const [beforeId, entry] of beforeNodes) {
+		if (matches.has(beforeId)) continue;
+
+		const folderName = getFolderName(beforeId);
+		const parentMatch = matches.get(entry.parentId);
+		const isOpen = (afterId) => !claimed.has(afterId);
+
+		const carried = parentMatch && `${parentMatch}/${folderName}`;
+		if (carried && afterNodes.has(carried) && isOpen(carried)) {
+			match(beforeId, carried);
+			continue;
+		}
+
+		const unmatchedBefore = [...beforeNodes.keys()].filter(
+			(id) => !matches.has(id) && getFolderName(id) === folderName,
+		);
+		const sameFolder = [...afterNodes.keys()].filter(
+			(id) => isOpen(id) && getFolderName(id) === folderName,
+		);
+		if (unmatchedBefore.length === 1 && sameFolder.length === 1) {
+			match(beforeId, sameFolder[0]);
+			continue;
+		}
+
+		if (!parentMatch) continue;
+		const removedSiblings = [...beforeNodes].filter(
+			([id, sibling]) =>
+				sibling.parentId === entry.parentId && !matches.has(id),
+		);
+		const addedSiblings = [...afterNodes].filter(
+			([id, sibling]) => sibling.parentId === parentMatch && isOpen(id),
+		);
+		if (removedSiblings.length === 1 && addedSiblings.length === 1) {
+			match(beforeId, addedSiblings[0][0]);
+		}
+	}
+
+	return matches;
+}
+
+/**
+ * Classify the difference between two matched nodes
+ * @param {Object} before - Indexed node before
+ * @param {Object} after - Indexed node after
+ * @param {string|undefined} parentMatch - New ID of the node's previous parent
+ * @returns {Object|null} - The change, or null when the node is unchanged
+ */
+function compareNodes(before, after, parentMatch) {
+	const isMoved = !!before.parentId && after.parentId !== parentMatch;
+	const isRenamed =
+		before.node.name !== after.node.name ||
+		getFolderName(before.node.id) !== getFolderName(after.node.id);
+
+	// A cascaded value is reported once, on the node it is set on
+	const isCascaded = (field) =>
+		!!after.node.inherited?.[field] &&
+		(!before.node[field] || !!before.node.inherited?.[field]);
+	const fields = COMPARED_FIELDS.filter(
+		(field) =>
+			(before.node[field] ?? "") !== (after.node[field] ?? "") &&
+			!isCascaded(field),
+	).map((field) => ({
+		field,
+		before: before.node[field] ?? "",
+		after: after.node[field] ?? "",
+	}));
+
+	let type = null;
+	if (isMoved) type = "moved";
+	else if (isRenamed) type = "renamed";
+	else if (fields.length > 0) type = "changed";
+	if (!type) return null;
+
+	const change = { type, id: after.node.id, name: after.node.name };
+	if (before.node.id !== after.node.id) change.previousId = before.node.id;
+	if (before.node.name !== after.node.name) {
+		change.previousName = before.node.name;
+	}
+	if (fields.length > 0) change.fields = fields;
+	return change;
+}
+
+/**
+ * Index a view's nodes by ID, parents before children
+ * @param {Object|undefined} root - The view root
+ * @returns {Map<string, Object>} - ID to `{ node, parentId }`
+ */
+function indexNodes(root) {
+	const nodes = new Map();
+	const queue = root ? [{ node: root, parentId: null }] : [];
+
+	while (queue.length > 0) {
+		const entry = queue.shift();
+		nodes.set(entry.node.id, entry);
+		for (const child of entry.node.children || []) {
+			queue.push({ node: child, parentId: entry.node.id });
+		}
+	}
+
+	return nodes;
+}
+
+/**
+ * Get the folder name of a node from its ID
+ * @param {string} id - Node ID
+ * @returns {string} - The last path segment
+ */
+function getFolderName(id) {
+	return id.slice(id.lastIndexOf("/") + 1);
+}
+
+/**
+ * Describe a change in one line
+ * @param {Object} change - A change from buildDiffReport
+ * @returns {string} - The node and, when it moved or was renamed, where from
+ */
+function describeChange(change) {
+	if (change.type === "moved") {
+		return `${change.id} (from ${change.previousId})`;
+	}
+	if (change.type === "renamed") {
+		const from = change.previousName ?? change.previousId;
+		return `${change.id} (was "${from}")`;
+	}
+	return change.id;
+}
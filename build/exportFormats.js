@@ -0,0 +1,361 @@
+import fs from "node:fs";
+import path from "node:path";
+import { getNodeTags, matchesTagFilters } from "../src/utils/tags.js";
+import { toBackstage } from "./backstageCatalog.js";
+
+/**
+ * Hierarchy Export Formats
+ * @description Serializes a generated view (or a subtree of it) for tools
+ * outside the app: spreadsheets, wikis, diagram pipelines and the Backstage
+ * software catalog
+ *
+ * Every formatter takes a generated node as produced by generateDataModels.js
+ * and returns the file contents as a string. writeExports writes one file per
+ * view (or subtree) and format, named after the exported node's ID, e.g.
+ * "Domain-Team-View--Enterprise-Clients.csv". Tag filters narrow the exports
+ * to matching nodes and their ancestors, like the app's image exports.
+ */
+
+/**
+ * Columns of the flat CSV export
+ */
+export const CSV_COLUMNS = [
+	"path",
+	"name",
+	"owner",
+	"contact",
+	"description",
+	"depth",
+];
+
+/**
+ * Available export formats
+ * - extension: File extension of the written export
+ * - format: Formatter `(root, options) => string`
+ */
+export const EXPORT_FORMATS = {
+	csv: { extension: "csv", format: toCsv },
+	json: { extension: "json", format: toJson },
+	mermaid: { extension: "mmd", format: toMermaid },
+	dot: { extension: "dot", format: toDot },
+	backstage: { extension: "catalog-info.yaml", format: toBackstage },
+};
+
+/**
+ * Mermaid diagram types supported by toMermaid
+ */
+export const MERMAID_STYLES = ["graph", "mindmap"];
+
+/**
+ * Write export files for generated views
+ * @param {Object} generatedViews - Map of view names to their root node
+ * @param {string} exportDir - Directory to write the exports to
+ * @param {Object} options - Export options
+ * @param {Array<string>} options.formats - Keys of EXPORT_FORMATS (default: all)
+ * @param {string} options.subtree - Only export the subtree with this node ID
+ * @param {string} options.mermaidStyle - Mermaid diagram type, see toMermaid
+ * @param {Array<string>} options.tags - Tag filters as "key=value"; only
+ * matching nodes and their ancestors are exported
+ * @returns {Array<string>} - Paths of the written files
+ */
+export function writeExports(
+	generatedViews,
+	exportDir,
+	{
+		formats = Object.keys(EXPORT_FORMATS),
+		subtree,
+		mermaidStyle,
+		tags = [],
+	} = {},
+) {
+	for (const format of formats) {
+		if (!EXPORT_FORMATS[format]) {
+			throw new Error(
+				`Unknown export format "${format}" (available: ${Object.keys(EXPORT_FORMATS).join(", ")})`,
+			);
+		}
+	}
+
+	if (mermaidStyle && !MERMAID_STYLES.includes(mermaidStyle)) {
+		throw new Error(
+			`Unknown Mermaid style "${mermaidStyle}" (expected ${MERMAID_STYLES.join(" or ")})`,
+		);
+	}
+
+	// Tags cascade from ancestors, so whole views are filtered before a subtree is picked
+	const filters = parseTagFilters(tags);
+	const views =
+		filters.size > 0
+			? Object.fromEntries(
+					Object.entries(generatedViews).map(([viewName, root]) => [
+						viewName,
+						filterByTags(root, filters),
+					]),
+				)
+			: generatedViews;
+
+	let roots = Object.values(views);
+	if (subtree) {
+		// A node ID starts with its view's folder name
+		const [viewName] = subtree.replace(/^\/+/, "").split("/");
+		const node = views[viewName] ? findSubtree(views[viewName], subtree) : null;
+		if (!node) {
+			throw new Error(
+				filters.size > 0
+					? `No node with ID "${subtree}" matches the tag filters`
+					: `No node with ID "${subtree}" in the generated views`,
+			);
+		}
+		roots = [node];
+	}
+
+	fs.mkdirSync(exportDir, { recursive: true });
+	const written = [];
+
+	for (const root of roots) {
+		const baseName = root.id.split("/").join("--");
+		for (const format of formats) {
+			const { extension, format: serialize } = EXPORT_FORMATS[format];
+			const filePath = path.join(exportDir, `${baseName}.${extension}`);
+			fs.writeFileSync(filePath, serialize(root, { mermaidStyle }));
+			written.push(filePath);
+		}
+	}
+
+	return written;
+}
+
+/**
+ * Parse tag filters written as "key=value"
+ * Values of the same key are alternatives, different keys must all match.
+ * @param {Array<string>} entries - The filters, e.g. ["tier=1", "region=EU"]
+ * @returns {Map<string, Set<string>>} - Accepted values per tag key
+ */
+export function parseTagFilters(entries) {
+	const filters = new Map();
+
+	for (const entry of entries) {
+		const separator = entry.indexOf("=");
+		const key = entry.slice(0, separator).trim();
+		const value = entry.slice(separator + 1).trim();
+		if (separator === -1 || !key || !value) {
+			throw new Error(`Invalid tag filter "${entry}" (expected key=value)`);
+		}
+
+		if (!filters.has(key)) filters.set(key, new Set());
+		filters.get(key).add(value);
+	}
+
+	return filters;
+}
+
+/**
+ * Keep the nodes of a view that match tag filters, and their ancestors
+ * A kept node whose children were all left out becomes a leaf; the root is
+ * kept on its own when nothing matches.
+ * @param {Object} root - Generated view root
+ * @param {Map<string, Set<string>>} filters - From parseTagFilters
+ * @returns {Object} - The filtered copy of the view
+ */
+export function filterByTags(root, filters) {
+	const prune = (data, parent) => {
+		// getNodeTags reads a node's ancestors from d3.hierarchy-like links
+		const node = { data, parent };
+		const children = (data.children || [])
+			.map((child) => prune(child, node))
+			.filter(Boolean);
+		if (
+			children.length === 0 &&
+			!matchesTagFilters(getNodeTags(node), filters)
+		) {
+			return null;
+		}
+
+		const { children: _children, ...fields } = data;
+		return children.length > 0 ? { ...fields, children } : fields;
+	};
+
+	const { children: _children, ...fields } = root;
+	return prune(root, null) ?? fields;
+}
+
+/**
+ * Find a node by ID within a generated view
+ * @param {Object} root - Generated view root
+ * @param {string} id - Node ID, e.g. "Domain-Team-View/Enterprise-Clients"
+ * @returns {Object|null} - The matching node, or null when it is not in the view
+ */
+export function findSubtree(root, id) {
+	const normalizedId = id.replace(/^\/+|\/+$/g, "");
+	let match = null;
+
+	walk(root, (node) => {
+		if (!match && node.id === normalizedId) match = node;
+	});
+
+	return match;
+}
+
+/**
+ * Flat CSV with one row per node, parents before children
+ * Depth is counted from the exported root (0).
+ * @param {Object} root - Generated node to export
+ * @returns {string} - RFC 4180 CSV with a header row
+ */
+export function toCsv(root) {
+	const rows = [CSV_COLUMNS.join(",")];
+
+	walk(root, (node, depth) => {
+		const record = {
+			path: node.id,
+			name: node.name,
+			owner: node.owner === "Unknown" ? "" : node.owner,
+			contact: node.contact,
+			description: node.description,
+			depth,
+		};
+		rows.push(CSV_COLUMNS.map((column) => escapeCsv(record[column])).join(","));
+	});
+
+	return `${rows.join("\r\n")}\r\n`;
+}
+
+/**
+ * Plain JSON of the nested hierarchy, as the app receives it
+ * @param {Object} root - Generated node to export
+ * @returns {string} - Pretty-printed JSON
+ */
+export function toJson(root) {
+	return `${JSON.stringify(root, null, 2)}\n`;
+}
+
+/**
+ * Mermaid diagram of the hierarchy
+ * @param {Object} root - Generated node to export
+ * @param {Object} options - Formatting options
+ * @param {string} options.mermaidStyle - "graph" (top-down flowchart) or "mindmap"
+ * @returns {string} - Mermaid source
+ */
+export function toMermaid(root, { mermaidStyle = "graph" } = {}) {
+	if (!MERMAID_STYLES.includes(mermaidStyle)) {
+		throw new Error(
+			`Unknown Mermaid style "${mermaidStyle}" (expected ${MERMAID_STYLES.join(" or ")})`,
+		);
+	}
+
+	const ids = new Map();
+	const getId = (node) => {
+		if (!ids.has(node)) ids.set(node, `n${ids.size}`);
+		return ids.get(node);
+	};
+
+	if (mermaidStyle === "mindmap") {
+		const lines = ["mindmap"];
+		walk(root, (node, depth) => {
+			const indent = "  ".repeat(depth + 1);
+			const label = escapeMermaid(formatLabel(node, " - "));
+			// The root is drawn as a circle, everything else as a rounded box
+			lines.push(
+				depth === 0
+					? `${indent}${getId(node)}(("${label}"))`
+					: `${indent}${getId(node)}("${label}")`,
+			);
+		});
+		return `${lines.join("\n")}\n`;
+	}
+
+	const lines = ["graph TD"];
+	walk(root, (node) => {
+		lines.push(
+			`  ${getId(node)}["${escapeMermaid(formatLabel(node, "<br/>"))}"]`,
+		);
+		for (const child of node.children || []) {
+			lines.push(`  ${getId(node)} --> ${getId(child)}`);
+		}
+	});
+	return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Graphviz DOT digraph of the hierarchy, left to right
+ * Nodes are filled with their nodeColor when they have one.
+ * @param {Object} root - Generated node to export
+ * @returns {string} - DOT source
+ */
+export function toDot(root) {
+	const lines = [
+		`digraph ${quoteDot(root.name)} {`,
+		"  rankdir=LR;",
+		'  node [shape=box, style="rounded,filled", fillcolor="#ffffff", fontname="Helvetica"];',
+	];
+
+	walk(root, (node) => {
+		const attributes = [`label=${quoteDot(formatLabel(node, "\n"))}`];
+		if (node.nodeColor)
+			attributes.push(`fillcolor=${quoteDot(node.nodeColor)}`);
+		lines.push(`  ${quoteDot(node.id)} [${attributes.join(", ")}];`);
+
+		for (const child of node.children || []) {
+			lines.push(`  ${quoteDot(node.id)} -> ${quoteDot(child.id)};`);
+		}
+	});
+
+	lines.push("}");
+	return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Build a diagram label: the node name, plus its owner when known
+ * @param {Object} node - Generated node
+ * @param {string} separator - Line break for the target format
+ * @returns {string} - The label text
+ */
+function formatLabel(node, separator) {
+	if (!node.owner || node.owner === "Unknown") return node.name;
+	return `${node.name}${separator}Owner: ${node.owner}`;
+}
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - The cell, quoted when it contains separators or quotes
+ */
+function escapeCsv(value) {
+	const text = value === undefined || value === null ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text inside a quoted Mermaid label
+ * @param {string} text - Label text
+ * @returns {string} - Text safe to place between double quotes
+ */
+function escapeMermaid(text) {
+	return text.replace(/"/g, "#quot;");
+}
+
+/**
+ * Quote a DOT identifier or attribute value
+ * @param {string} text - Raw text
+ * @returns {string} - Double-quoted DOT string
+ */
+function quoteDot(text) {
+	const escaped = String(text)
+		.replace(/\\/g, "\\\\")
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, "\\n");
+	return `"${escaped}"`;
+}
+
+/**
+ * Visit every node of a generated tree, depth first, parents first
+ * @param {Object} node - Generated node
+ * @param {Function} visit - Called with each node and its depth below the start node
+ * @param {number} depth - Depth of `node` (internal)
+ */
+function walk(node, visit, depth = 0) {
+	visit(node, depth);
+	for (const child of node.children || []) {
+		walk(child, visit, depth + 1);
+	}
+}
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { filterByTags, parseTagFilters } from "./exportFormats.js";
+
+const view = {
+	id: "View",
+	name: "View",
+	children: [
+		{
+			id: "View/EU",
+			name: "EU",
+			tags: { region: "EU" },
+			children: [
+				{ id: "View/EU/Payments", name: "Payments", tags: { tier: "1" } },
+				{ id: "View/EU/Search", name: "Search", tags: { tier: "2" } },
+			],
+		},
+		{
+			id: "View/US",
+			name: "US",
+			tags: { region: "US" },
+			children: [
+				{ id: "View/US/Payments", name: "Payments", tags: { tier: "1" } },
+			],
+		},
+	],
+};
+
+/**
+ * List the IDs of a generated view, parents first
+ * @param {Object} node - Generated node
+ * @returns {Array<string>} - The node IDs
+ */
+function idsOf(node) {
+	return [node.id, ...(node.children || []).flatMap(idsOf)];
+}
+
+test("keeps matching nodes and their ancestors, with inherited tags", () => {
+	const filtered = filterByTags(view, parseTagFilters(["region=EU", "tier=1"]));
+
+	assert.deepEqual(idsOf(filtered), ["View", "View/EU", "View/EU/Payments"]);
+});
+
+test("values of one key are alternatives", () => {
+	const filtered = filterByTags(
+		view,
+		parseTagFilters(["region=EU", "region=US"]),
+	);
+
+	assert.deepEqual(idsOf(filtered), idsOf(view));
+});
+
+test("keeps the root alone when nothing matches", () => {
+	const filtered = filterByTags(view, parseTagFilters(["region=CA"]));
+
+	assert.deepEqual(idsOf(filtered), ["View"]);
+	assert.equal(filtered.children, undefined);
+});
+
+test("rejects a tag filter without a value", () => {
+	assert.throws(() => parseTagFilters(["region"]), /expected key=value/);
+});
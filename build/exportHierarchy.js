@@ -0,0 +1,136 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { findCodeownersFiles, loadCodeowners } from "./codeowners.js";
+import {
+	EXPORT_FORMATS,
+	MERMAID_STYLES,
+	writeExports,
+} from "./exportFormats.js";
+import { buildView, getViewDirectories } from "./generateDataModels.js";
+import { formatDiagnostics } from "./validateSettings.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Hierarchy Export Command
+ * @description Writes CSV, JSON, Mermaid and Graphviz DOT files straight from
+ * src/data, without building the app
+ *
+ * @example
+ * pnpm export
+ * pnpm export --format csv,dot --view Domain-Team-View
+ * pnpm export --subtree Domain-Team-View/Enterprise-Clients/EU-Clients --format mermaid --mermaid mindmap
+ * pnpm export --tag tier=1 --tag compliance=PCI --format csv
+ */
+
+const USAGE = `Usage: pnpm export [options]
+
+Options:
+  --format <list>   Comma-separated formats: ${Object.keys(EXPORT_FORMATS).join(", ")} (default: all)
+  --view <name>     Only export this view (repeatable; default: all views)
+  --subtree <id>    Only export the subtree with this node ID,
+                    e.g. Domain-Team-View/Enterprise-Clients
+  --tag <key=value> Only export nodes with this tag, and their ancestors
+                    (repeatable; values of one key are alternatives)
+  --mermaid <type>  Mermaid diagram type: ${MERMAID_STYLES.join(" or ")} (default: graph)
+  --out <dir>       Output directory (default: exports)
+  --help            Show this help`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseOptions(args) {
+	const { values } = parseArgs({
+		args,
+		options: {
+			format: { type: "string", multiple: true },
+			view: { type: "string", multiple: true },
+			subtree: { type: "string" },
+			tag: { type: "string", multiple: true, default: [] },
+			mermaid: { type: "string", default: "graph" },
+			out: { type: "string", default: "exports" },
+			help: { type: "boolean", default: false },
+		},
+	});
+
+	return {
+		...values,
+		formats: values.format?.flatMap((list) =>
+			list.split(",").map((format) => format.trim()),
+		),
+	};
+}
+
+/**
+ * Build the requested views and write their exports
+ * @param {Object} options - Parsed command line options, plus the
+ * `codeowners` files to resolve codePaths with
+ * @param {string} dataDir - Path to the data directory
+ * @returns {Promise<Array<string>>} - Paths of the written files
+ */
+export async function exportHierarchy(options, dataDir) {
+	// A subtree ID names its view, so only that view has to be built
+	const viewNames = options.subtree
+		? [options.subtree.replace(/^\/+/, "").split("/")[0]]
+		: options.view || getViewDirectories(dataDir);
+
+	const available = getViewDirectories(dataDir);
+	const generatedViews = {};
+	const diagnostics = [];
+	const codeowners = loadCodeowners(options.codeowners, diagnostics);
+
+	for (const viewName of viewNames) {
+		if (!available.includes(viewName)) {
+			throw new Error(
+				`Unknown view "${viewName}" (available: ${available.join(", ")})`,
+			);
+		}
+		generatedViews[viewName] = (
+			await buildView(dataDir, viewName, diagnostics, { codeowners })
+		).data;
+	}
+
+	// Problems in _settings.js are worth knowing about, but don't block an export
+	const report = formatDiagnostics(diagnostics);
+	if (report) console.warn(`${report}\n`);
+
+	return writeExports(generatedViews, path.resolve(options.out), {
+		formats: options.formats,
+		subtree: options.subtree,
+		mermaidStyle: options.mermaid,
+		tags: options.tag,
+	});
+}
+
+/**
+ * Run the export if executed directly
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const projectRoot = path.resolve(__dirname, "..");
+	const dataDir = path.join(projectRoot, "src", "data");
+
+	try {
+		const options = parseOptions(process.argv.slice(2));
+
+		if (options.help) {
+			console.log(USAGE);
+		} else {
+			const written = await exportHierarchy(
+				{ ...options, codeowners: findCodeownersFiles(projectRoot) },
+				dataDir,
+			);
+			for (const filePath of written) {
+				console.log(`Exported: ${path.relative(process.cwd(), filePath)}`);
+			}
+			console.log(`✓ ${written.length} file(s) exported`);
+		}
+	} catch (error) {
+		console.error(error.message);
+		console.error(`\n${USAGE}`);
+		process.exitCode = 1;
+	}
+}
@@ -1,6 +1,19 @@
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import {
+	findCodeownersFiles,
+	loadCodeowners,
+	resolveCodeOwners,
+} from "./codeowners.js";
+import { buildCoverageReport, formatCoverageReport } from "./coverageReport.js";
+import { writeExports } from "./exportFormats.js";
+import {
+	formatDiagnostics,
+	INHERITED_FIELDS,
+	SettingsValidationError,
+	validateSettings,
+} from "./validateSettings.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,19 +27,63 @@ const __dirname = path.dirname(__filename);
  *
  * Folder Structure Conventions:
  * - Each folder becomes a node in the hierarchy
+ * - Each node gets a stable `id` from its folder path relative to the data
+ *   directory (e.g. "Domain-Team-View/Enterprise-Clients/EU-Clients/DB-Team")
+ *   and a `folder` with its source path relative to the project root
  * - Folder names become node names (hyphens converted to spaces)
  * - Leaf folders (no subfolders) get a default size property
- * - Optional _settings.js files can provide metadata for each node
+ * - Every folder should have a _settings.js file providing metadata for the node
+ *   (validated against the schema in validateSettings.js)
+ * - An optional _README.md next to _settings.js holds markdown documentation for
+ *   the node; docs are written to a separate per-view module (docs/<view>.js)
+ *   that the app loads lazily, and the node is flagged with `hasDocs`
  *
- * Required Settings Fields:
+ * Settings Fields (all optional):
  * - name: Display name for the node
  * - description: Description of the node
- * - nodeColor: Color for this specific node (e.g., "#af4c91")
- *
- * Optional Settings Fields:
+ * - nodeColor: Hex color for this specific node (e.g., "#af4c91")
  * - size: Relative size for leaf nodes (default: 1000)
  * - owner: Team or person responsible
- * - contact: Email or Slack channel
+ * - contactEmail: Contact email address
+ * - contact: Chat channel or other contact (used when contactEmail is not set)
+ * - inherit: `false` or per-field flags (e.g. `{ owner: false }`) to stop
+ *   ancestor values from cascading into this node and its descendants
+ * - codePaths: Repository paths or globs the node owns (e.g.
+ *   `["services/payments/**"]`), resolved against CODEOWNERS
+ * - ownedBy: ID of the node that owns this one, usually in another view (e.g.
+ *   "Domain-Team-View/Enterprise-Clients/US-Clients/DB-Team"), or a list of
+ *   IDs; always written as a list and checked once every view is built
+ * - escalation: Tiers to page at this node's level during an incident, in
+ *   order (e.g. `[{ owner: "Payments On-Call", contact: "#payments-oncall" }]`);
+ *   replaces the node's owner and contact in its escalation chain
+ * - oncall: On-call rotation (members, start, rotationDays, handoff, timezone,
+ *   overrides); the app resolves who is on call from the browser clock, and
+ *   descendants without a rotation fall back to it
+ * - tags: Key/value pairs for filtering (e.g. `{ tier: "1", compliance:
+ *   ["PCI", "SOC2"] }`); they describe the node and its descendants
+ * - metrics: Named numbers the app can size nodes by (e.g. `{ headcount: 8,
+ *   services: 3 }`); branches total their children
+ *
+ * CODEOWNERS:
+ * - A node with codePaths but no owner gets the owners CODEOWNERS assigns to
+ *   those paths (see codeowners.js), recorded in `codeowners` with the
+ *   matching rules; it cascades like an owner set in _settings.js
+ * - An explicit owner that disagrees with CODEOWNERS is kept and reported
+ *   as a warning, as are code paths CODEOWNERS doesn't assign to anyone
+ *
+ * Inheritance:
+ * - nodeColor, owner and contact cascade down to descendants that don't set
+ *   their own value (see INHERITED_FIELDS)
+ * - Inherited values are recorded in `inherited`, e.g.
+ *   `inherited: { owner: { id: "Domain-Team-View/Enterprise-Clients", name: "Enterprise Clients" } }`
+ *
+ * View Settings Fields (only read from a view's top-level _settings.js):
+ * - order: Position of the view's tab (lower first, unordered views last)
+ * - defaultView: Open this view when the URL does not name one
+ *
+ * Exports:
+ * - Pass `exports` to also write CSV, JSON, Mermaid and DOT files for other
+ *   tools (see exportFormats.js); `pnpm export` does the same standalone
  */
 
 /**
@@ -37,32 +94,185 @@ const DEFAULTS = {
 	NODE_COLOR: "#90CAF9", // Light blue default
 };
 
+/**
+ * Directory node `folder` paths are relative to, unless `rootDir` is given
+ */
+const PROJECT_ROOT = path.resolve(__dirname, "..");
+
 /**
  * Generate all view data models
  * @param {string} dataDir - Path to the data directory
  * @param {string} outputDir - Path to output generated files
+ * @param {Object} options - Generation options
+ * @param {boolean} options.strict - Throw a SettingsValidationError when settings have errors
+ * @param {Object} options.exports - Also write exports: `{ outputDir, formats, subtree, mermaidStyle, tags }` (see writeExports)
+ * @param {Array<string|Object>} options.codeowners - CODEOWNERS files to resolve codePaths with (see loadCodeowners)
+ * @param {string} options.rootDir - Directory node `folder` paths are relative to (default: the project root)
  * @returns {Promise<Object>} - Map of view names to their data
  */
-export async function generateAll(dataDir, outputDir) {
-	// Ensure output directory exists
-	if (!fs.existsSync(outputDir)) {
-		fs.mkdirSync(outputDir, { recursive: true });
-	}
-
+export async function generateAll(
+	dataDir,
+	outputDir,
+	{ strict = false, exports, codeowners, rootDir } = {},
+) {
 	// Scan for view directories
 	const views = getViewDirectories(dataDir);
 	const generatedViews = {};
+	const diagnostics = [];
+	const codeownersRules = loadCodeowners(codeowners, diagnostics);
 
 	for (const viewName of views) {
-		const viewPath = path.join(dataDir, viewName);
-		const viewData = await buildFromDirectory(viewPath, viewName);
-		generatedViews[viewName] = viewData;
+		const { data, docs } = await buildView(dataDir, viewName, diagnostics, {
+			codeowners: codeownersRules,
+			rootDir,
+		});
+		generatedViews[viewName] = data;
+		writeViewFiles(outputDir, viewName, data, docs);
+	}
+
+	diagnostics.push(...validateReferences(generatedViews));
+	await writeSharedFiles(dataDir, outputDir, generatedViews, { exports });
+	reportDiagnostics(diagnostics, { strict });
+
+	return generatedViews;
+}
+
+/**
+ * Regenerate a single view, then refresh the files shared by all views
+ * Used for incremental rebuilds: only the changed view is scanned again.
+ * A view whose folder no longer exists is removed from the output.
+ * @param {string} dataDir - Path to the data directory
+ * @param {string} outputDir - Path to output generated files
+ * @param {string} viewName - The view folder name
+ * @param {Object} generatedViews - Map of view names to their data; updated in place
+ * @param {Object} options - Generation options
+ * @param {Object} options.exports - Also refresh exports (see generateAll)
+ * @param {Array<string|Object>} options.codeowners - CODEOWNERS files (see generateAll)
+ * @param {string} options.rootDir - Directory `folder` paths are relative to (see generateAll)
+ * @returns {Promise<Object>} - The view's `data` and `docs` (both null when removed) and the new `views` manifest
+ */
+export async function generateView(
+	dataDir,
+	outputDir,
+	viewName,
+	generatedViews,
+	{ exports, codeowners, rootDir } = {},
+) {
+	const viewPath = path.join(dataDir, viewName);
+	const diagnostics = [];
+	let result = { data: null, docs: null };
+
+	if (fs.existsSync(viewPath) && fs.statSync(viewPath).isDirectory()) {
+		result = await buildView(dataDir, viewName, diagnostics, {
+			codeowners: loadCodeowners(codeowners, diagnostics),
+			rootDir,
+		});
+		generatedViews[viewName] = result.data;
+		writeViewFiles(outputDir, viewName, result.data, result.docs);
+	} else {
+		delete generatedViews[viewName];
+		removeViewFiles(outputDir, viewName);
+	}
+
+	// Other views may point into this one, so every reference is checked again
+	diagnostics.push(...validateReferences(generatedViews));
+
+	const views = await writeSharedFiles(dataDir, outputDir, generatedViews, {
+		exports,
+	});
+	reportDiagnostics(diagnostics, { strict: false });
+
+	return { ...result, views };
+}
+
+/**
+ * Build the data model and documentation of one view, without writing files
+ * @param {string} dataDir - Path to the data directory
+ * @param {string} viewName - The view folder name
+ * @param {Array<Object>} diagnostics - Collects settings validation problems
+ * @param {Object} options - Build options
+ * @param {Array<Object>} options.codeowners - Parsed CODEOWNERS rules (see loadCodeowners)
+ * @param {string} options.rootDir - Directory node `folder` paths are relative to, so
+ * they don't depend on where the command runs (default: the project root)
+ * @returns {Promise<{data: Object, docs: Object}>} - The view root node and its docs keyed by node ID
+ */
+export async function buildView(
+	dataDir,
+	viewName,
+	diagnostics,
+	{ codeowners = [], rootDir = PROJECT_ROOT } = {},
+) {
+	const docs = {};
+	const data = await buildFromDirectory(
+		path.join(dataDir, viewName),
+		viewName,
+		{ diagnostics, docs, codeowners, rootDir },
+	);
+	return { data, docs };
+}
+
+/**
+ * Write a view's data model and documentation modules
+ * @param {string} outputDir - Path to output generated files
+ * @param {string} viewName - The view folder name
+ * @param {Object} data - The view root node
+ * @param {Object} docs - Node documentation keyed by node ID
+ */
+function writeViewFiles(outputDir, viewName, data, docs) {
+	const docsDir = path.join(outputDir, "docs");
+	if (!fs.existsSync(docsDir)) {
+		fs.mkdirSync(docsDir, { recursive: true });
+	}
+
+	// Write individual view file as a JavaScript module
+	const outputPath = path.join(outputDir, `${viewName}.js`);
+	const jsContent = `export default ${JSON.stringify(data, null, 2)};\n`;
+	fs.writeFileSync(outputPath, jsContent);
+	console.log(`Generated: ${outputPath}`);
+
+	// Write the view's node documentation, keyed by node ID
+	const docsPath = path.join(docsDir, `${viewName}.js`);
+	const docsContent = `export default ${JSON.stringify(docs, null, 2)};\n`;
+	fs.writeFileSync(docsPath, docsContent);
+	console.log(`Generated: ${docsPath}`);
+}
 
-		// Write individual view file as a JavaScript module
-		const outputPath = path.join(outputDir, `${viewName}.js`);
-		const jsContent = `export default ${JSON.stringify(viewData, null, 2)};\n`;
-		fs.writeFileSync(outputPath, jsContent);
-		console.log(`Generated: ${outputPath}`);
+/**
+ * Delete the generated modules of a view that no longer exists
+ * @param {string} outputDir - Path to output generated files
+ * @param {string} viewName - The view folder name
+ */
+function removeViewFiles(outputDir, viewName) {
+	for (const filePath of [
+		path.join(outputDir, `${viewName}.js`),
+		path.join(outputDir, "docs", `${viewName}.js`),
+	]) {
+		if (fs.existsSync(filePath)) {
+			fs.rmSync(filePath);
+			console.log(`Removed: ${filePath}`);
+		}
+	}
+}
+
+/**
+ * Write the files that combine all views: index, views manifest, coverage
+ * and, when configured, the exports
+ * @param {string} dataDir - Path to the data directory
+ * @param {string} outputDir - Path to output generated files
+ * @param {Object} generatedViews - Map of view names to their data
+ * @param {Object} options - Output options
+ * @param {Object} options.exports - Export settings (see generateAll)
+ * @returns {Promise<Array<Object>>} - The sorted views manifest
+ */
+async function writeSharedFiles(
+	dataDir,
+	outputDir,
+	generatedViews,
+	{ exports } = {},
+) {
+	// Ensure output directory exists
+	if (!fs.existsSync(outputDir)) {
+		fs.mkdirSync(outputDir, { recursive: true });
 	}
 
 	// Write combined index file as a JavaScript module
@@ -71,7 +281,90 @@ export async function generateAll(dataDir, outputDir) {
 	fs.writeFileSync(indexPath, jsContent);
 	console.log(`Generated: ${indexPath}`);
 
-	return generatedViews;
+	// Write the views manifest the app builds its tabs from
+	const manifest = [];
+	for (const [viewName, viewData] of Object.entries(generatedViews)) {
+		manifest.push(await buildViewEntry(path.join(dataDir, viewName), viewData));
+	}
+	const views = sortViewEntries(manifest);
+	const manifestPath = path.join(outputDir, "views.js");
+	const manifestContent = `export default ${JSON.stringify(views, null, 2)};\n`;
+	fs.writeFileSync(manifestPath, manifestContent);
+	console.log(`Generated: ${manifestPath}`);
+
+	// Write the ownership coverage report
+	const coverage = buildCoverageReport(generatedViews);
+	const coveragePath = path.join(outputDir, "coverage.json");
+	fs.writeFileSync(coveragePath, `${JSON.stringify(coverage, null, 2)}\n`);
+	console.log(`Generated: ${coveragePath}`);
+	console.log(`\n${formatCoverageReport(coverage)}`);
+
+	if (exports) {
+		const { outputDir: exportDir, ...exportOptions } = exports;
+		for (const filePath of writeExports(
+			generatedViews,
+			exportDir,
+			exportOptions,
+		)) {
+			console.log(`Exported: ${filePath}`);
+		}
+	}
+
+	return views;
+}
+
+/**
+ * Print settings diagnostics and fail strict runs on errors
+ * @param {Array<Object>} diagnostics - Diagnostics collected while building
+ * @param {Object} options - Reporting options
+ * @param {boolean} options.strict - Throw when any diagnostic is an error
+ */
+function reportDiagnostics(diagnostics, { strict }) {
+	const report = formatDiagnostics(diagnostics);
+	const errors = diagnostics.filter((d) => d.level === "error");
+
+	if (report) {
+		(errors.length > 0 ? console.error : console.warn)(`\n${report}\n`);
+	}
+
+	if (strict && errors.length > 0) {
+		throw new SettingsValidationError(errors);
+	}
+}
+
+/**
+ * Build the manifest entry for a view
+ * @param {string} viewPath - Path to the view directory
+ * @param {Object} viewData - The generated view root node
+ * @returns {Promise<Object>} - Manifest entry with id, name, order and default flag
+ */
+async function buildViewEntry(viewPath, viewData) {
+	// Problems with these settings were already reported while building the view
+	const settings = await readSettings(viewPath, { isViewRoot: true });
+	const entry = {
+		id: viewData.id,
+		name: viewData.name,
+		default: settings.defaultView === true,
+	};
+
+	if (typeof settings.order === "number") {
+		entry.order = settings.order;
+	}
+
+	return entry;
+}
+
+/**
+ * Sort view manifest entries by explicit order, then by name
+ * @param {Array<Object>} entries - Manifest entries
+ * @returns {Array<Object>} - The sorted entries
+ */
+function sortViewEntries(entries) {
+	return entries.sort(
+		(a, b) =>
+			(a.order ?? Number.POSITIVE_INFINITY) -
+				(b.order ?? Number.POSITIVE_INFINITY) || a.name.localeCompare(b.name),
+	);
 }
 
 /**
@@ -96,30 +389,36 @@ export function getViewDirectories(dataDir) {
  * Build hierarchical data from a directory
  * @param {string} dirPath - Path to the directory
  * @param {string} nodeName - Name for the root node
+ * @param {Object} context - Build context shared across the recursion
+ * @param {string} context.parentId - ID of the parent node (empty for view roots)
+ * @param {Array<Object>} context.diagnostics - Collects settings validation problems
+ * @param {Object} context.docs - Collects node documentation, keyed by node ID
+ * @param {Object} context.inheritable - Values cascading from ancestors, keyed by field
+ * @param {Array<Object>} context.codeowners - Parsed CODEOWNERS rules
+ * @param {string} context.rootDir - Directory `folder` paths are relative to
  * @returns {Promise<Object>} - The hierarchical data structure
  */
-async function buildFromDirectory(dirPath, nodeName) {
-	// Load settings if available
-	const settingsPath = path.join(dirPath, "_settings.js");
-	let settings = {};
+async function buildFromDirectory(dirPath, nodeName, context = {}) {
+	const {
+		parentId = "",
+		diagnostics = [],
+		docs = {},
+		inheritable = {},
+		codeowners = [],
+		rootDir = PROJECT_ROOT,
+	} = context;
 
-	if (fs.existsSync(settingsPath)) {
-		try {
-			// Dynamic import for ES modules with cache busting
-			const settingsModule = await import(
-				`file://${settingsPath}?t=${Date.now()}`
-			);
-			settings = settingsModule.default || {};
-		} catch (error) {
-			console.warn(
-				`Failed to load settings from ${settingsPath}:`,
-				error.message,
-			);
-		}
-	}
+	// Load and validate settings if available
+	const settings = await readSettings(dirPath, {
+		isViewRoot: !parentId,
+		diagnostics,
+		rootDir,
+	});
 
 	// Start with formatted folder name as default
 	const node = {
+		id: parentId ? `${parentId}/${nodeName}` : nodeName,
+		folder: toPosixPath(path.relative(rootDir, dirPath)),
 		name: settings.name || formatNodeName(nodeName),
 		description: settings.description || `${formatNodeName(nodeName)} segment`,
 	};
@@ -131,7 +430,38 @@ async function buildFromDirectory(dirPath, nodeName) {
 
 	// Merge any additional settings
 	if (settings.owner) node.owner = settings.owner;
-	if (settings.contact) node.contact = settings.contact;
+	if (settings.contactEmail || settings.contact) {
+		node.contact = settings.contactEmail || settings.contact;
+	}
+
+	if (settings.codePaths) {
+		node.codePaths = settings.codePaths;
+		applyCodeOwners(node, codeowners, diagnostics);
+	}
+
+	if (settings.escalation) node.escalation = settings.escalation;
+	if (settings.oncall) node.oncall = settings.oncall;
+	if (settings.tags) node.tags = settings.tags;
+	if (settings.metrics) node.metrics = settings.metrics;
+
+	if (settings.ownedBy) {
+		node.ownedBy = [settings.ownedBy]
+			.flat()
+			.map((reference) => reference.trim().replace(/^\/+|\/+$/g, ""));
+	}
+
+	const childInheritable = applyInheritance(
+		node,
+		inheritable,
+		settings.inherit,
+	);
+
+	// Pick up the node's markdown documentation
+	const readmePath = path.join(dirPath, "_README.md");
+	if (fs.existsSync(readmePath)) {
+		docs[node.id] = fs.readFileSync(readmePath, "utf8");
+		node.hasDocs = true;
+	}
 
 	// Get subdirectories
 	const subdirs = fs
@@ -154,7 +484,11 @@ async function buildFromDirectory(dirPath, nodeName) {
 
 		for (const subdir of subdirs) {
 			const childPath = path.join(dirPath, subdir);
-			const childNode = await buildFromDirectory(childPath, subdir);
+			const childNode = await buildFromDirectory(childPath, subdir, {
+				...context,
+				parentId: node.id,
+				inheritable: childInheritable,
+			});
 			node.children.push(childNode);
 		}
 
@@ -165,18 +499,192 @@ async function buildFromDirectory(dirPath, nodeName) {
 	return node;
 }
 
+/**
+ * Fill a node's unset fields from its ancestors and record where they came from
+ * @param {Object} node - The node being built (own values already set)
+ * @param {Object} inheritable - Ancestor values keyed by field: { value, id, name }
+ * @param {boolean|Object} inherit - The node's `inherit` setting
+ * @returns {Object} - Values cascading to the node's children
+ */
+function applyInheritance(node, inheritable, inherit = true) {
+	const childInheritable = {};
+
+	for (const field of INHERITED_FIELDS) {
+		const optedOut = inherit === false || inherit?.[field] === false;
+
+		if (node[field] !== undefined) {
+			// Own values always cascade, even when the node opts out of inheriting
+			childInheritable[field] = {
+				value: node[field],
+				id: node.id,
+				name: node.name,
+			};
+		} else if (inheritable[field] && !optedOut) {
+			const { value, id, name } = inheritable[field];
+			node[field] = value;
+			node.inherited = { ...node.inherited, [field]: { id, name } };
+			childInheritable[field] = inheritable[field];
+		}
+	}
+
+	return childInheritable;
+}
+
+/**
+ * Fill a node's owner from CODEOWNERS and report where the two disagree
+ * @param {Object} node - The node being built, with `codePaths` set
+ * @param {Array<Object>} rules - Parsed CODEOWNERS rules
+ * @param {Array<Object>} diagnostics - Collects problems
+ */
+function applyCodeOwners(node, rules, diagnostics) {
+	const file = `${node.folder}/_settings.js`;
+	const report = (message) =>
+		diagnostics.push({ level: "warning", file, message });
+
+	if (rules.length === 0) {
+		report("codePaths is set, but no CODEOWNERS file is configured");
+		return;
+	}
+
+	const { owners, matches } = resolveCodeOwners(rules, node.codePaths);
+	const sources = [];
+
+	for (const { codePath, rule } of matches) {
+		if (!rule) {
+			report(`no CODEOWNERS rule matches code path "${codePath}"`);
+		} else if (rule.owners.length === 0) {
+			report(
+				`code path "${codePath}" has no owner in CODEOWNERS (${rule.file}:${rule.line})`,
+			);
+		} else {
+			sources.push({ file: rule.file, line: rule.line, pattern: rule.pattern });
+		}
+	}
+
+	if (owners.length === 0) return;
+	const resolved = owners.join(", ");
+
+	if (node.owner === undefined) {
+		node.owner = resolved;
+		node.codeowners = sources;
+	} else if (node.owner !== resolved) {
+		const where = sources.map(({ file, line }) => `${file}:${line}`);
+		report(
+			`owner "${node.owner}" differs from CODEOWNERS: ${resolved} (${[...new Set(where)].join(", ")})`,
+		);
+	}
+}
+
+/**
+ * Check that the `ownedBy` references of every view point at existing nodes
+ * @param {Object} generatedViews - Map of view names to their root node
+ * @returns {Array<Object>} - Diagnostics for references to missing nodes
+ */
+function validateReferences(generatedViews) {
+	const diagnostics = [];
+	const ids = new Set();
+	const referencing = [];
+
+	const collect = (node) => {
+		ids.add(node.id);
+		if (node.ownedBy) referencing.push(node);
+		for (const child of node.children || []) collect(child);
+	};
+	for (const root of Object.values(generatedViews)) collect(root);
+
+	for (const node of referencing) {
+		const file = `${node.folder}/_settings.js`;
+
+		for (const reference of node.ownedBy) {
+			if (reference === node.id) {
+				diagnostics.push({
+					level: "warning",
+					file,
+					message: '"ownedBy" refers to the node itself',
+				});
+			} else if (!ids.has(reference)) {
+				diagnostics.push({
+					level: "error",
+					file,
+					message: `"ownedBy" refers to "${reference}", which is not a node ID (view folder and folder path, e.g. "Domain-Team-View/Enterprise-Clients")`,
+				});
+			}
+		}
+	}
+
+	return diagnostics;
+}
+
+/**
+ * Load and validate the _settings.js of a directory
+ * Problems are pushed to `diagnostics`; invalid fields are left out of the result.
+ * @param {string} dirPath - Path to the directory
+ * @param {Object} options - Read options
+ * @param {boolean} options.isViewRoot - Whether the directory is a view folder
+ * @param {Array<Object>} options.diagnostics - Collects validation problems
+ * @param {string} options.rootDir - Directory diagnostic file paths are relative to
+ * @returns {Promise<Object>} - The valid settings, or an empty object
+ */
+async function readSettings(
+	dirPath,
+	{ isViewRoot = false, diagnostics = [], rootDir = PROJECT_ROOT },
+) {
+	const settingsPath = path.join(dirPath, "_settings.js");
+	const file = toPosixPath(path.relative(rootDir, settingsPath));
+
+	if (!fs.existsSync(settingsPath)) {
+		diagnostics.push({
+			level: "warning",
+			file: toPosixPath(path.relative(rootDir, dirPath)),
+			message:
+				"missing _settings.js (Git does not track empty folders, so this node may disappear)",
+		});
+		return {};
+	}
+
+	let rawSettings;
+	try {
+		// Dynamic import for ES modules with cache busting
+		const settingsModule = await import(
+			`file://${settingsPath}?t=${Date.now()}`
+		);
+		rawSettings = settingsModule.default ?? {};
+	} catch (error) {
+		diagnostics.push({
+			level: "error",
+			file,
+			message: `failed to load: ${error.message}`,
+		});
+		return {};
+	}
+
+	const result = validateSettings(rawSettings, { file, isViewRoot });
+	diagnostics.push(...result.diagnostics);
+	return result.settings;
+}
+
 /**
  * Format a folder name into a display name
  * Converts hyphens to spaces and capitalizes words
  * @param {string} folderName - The folder name
  * @returns {string} - Formatted display name
  */
-function formatNodeName(folderName) {
+export function formatNodeName(folderName) {
 	return folderName
 		.replace(/-/g, " ")
 		.replace(/\b\w/g, (char) => char.toUpperCase());
 }
 
+/**
+ * Convert a platform path to forward slashes
+ * Keeps IDs and folder paths identical across operating systems
+ * @param {string} filePath - The path to convert
+ * @returns {string} - The path using "/" separators
+ */
+function toPosixPath(filePath) {
+	return filePath.split(path.sep).join("/");
+}
+
 /**
  * Run generator if executed directly
  */
@@ -184,11 +692,17 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 	const projectRoot = path.resolve(__dirname, "..");
 	const dataDir = path.join(projectRoot, "src", "data");
 	const outputDir = path.join(projectRoot, "src", "generated");
+	const codeowners = findCodeownersFiles(projectRoot);
 
 	console.log("Generating data models...");
 	console.log(`Data directory: ${dataDir}`);
 	console.log(`Output directory: ${outputDir}`);
 
-	await generateAll(dataDir, outputDir);
-	console.log("✓ Data generation complete!");
+	try {
+		await generateAll(dataDir, outputDir, { strict: true, codeowners });
+		console.log("✓ Data generation complete!");
+	} catch (error) {
+		console.error(error.message);
+		process.exitCode = 1;
+	}
 }
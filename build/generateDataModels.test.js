@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { buildView } from "./generateDataModels.js";
+
+const dataDir = path.resolve(
+	path.dirname(fileURLToPath(import.meta.url)),
+	"..",
+	"src",
+	"data",
+);
+
+test("folder paths don't depend on the working directory", async () => {
+	const cwd = process.cwd();
+	let data;
+	try {
+		process.chdir(os.tmpdir());
+		({ data } = await buildView(dataDir, "Domain-Team-View", []));
+	} finally {
+		process.chdir(cwd);
+	}
+
+	assert.equal(data.folder, "src/data/Domain-Team-View");
+	assert.equal(
+		data.children[0].folder,
+		`src/data/Domain-Team-View/${data.children[0].id.split("/").pop()}`,
+	);
+});
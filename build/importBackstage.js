@@ -0,0 +1,127 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { catalogToRows, parseCatalog } from "./backstageCatalog.js";
+import { runImportCommand } from "./importCommand.js";
+import { applyImport, planImport } from "./importHierarchy.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Backstage Import Command
+ * @description Creates or updates a view in src/data from Backstage
+ * catalog-info.yaml files
+ *
+ * Domains, Systems and Components become folders of the view, with Groups
+ * providing owner names and contacts (see backstageCatalog.js). Settings are
+ * merged like `pnpm import-csv` does, and nothing is written when an entity
+ * has errors. `pnpm export --format backstage` writes the reverse.
+ *
+ * @example
+ * pnpm import-backstage ../catalog --view Catalog-View --dry-run
+ */
+
+const DEFAULT_VIEW = "Catalog-View";
+
+/**
+ * Directories never searched for catalog files
+ */
+const SKIPPED_DIRECTORIES = new Set([".git", "node_modules"]);
+
+const USAGE = `Usage: pnpm import-backstage <dir|file> [options]
+
+Reads Domain, System, Component and Group entities from every .yaml/.yml file
+below <dir> (e.g. a checkout holding catalog-info.yaml files).
+
+Options:
+  --view <name>  View folder to import into (default: ${DEFAULT_VIEW})
+  --dry-run      Print the planned changes without writing anything
+  --help         Show this help`;
+
+/**
+ * Find the YAML files of a catalog
+ * @param {string} source - A directory to search, or a single file
+ * @returns {Array<string>} - File paths, sorted
+ */
+export function findCatalogFiles(source) {
+	if (!fs.statSync(source).isDirectory()) return [source];
+
+	const files = [];
+	for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+		const entryPath = path.join(source, entry.name);
+		if (entry.isDirectory() && !SKIPPED_DIRECTORIES.has(entry.name)) {
+			files.push(...findCatalogFiles(entryPath));
+		} else if (entry.isFile() && /\.ya?ml$/.test(entry.name)) {
+			files.push(entryPath);
+		}
+	}
+	return files.sort();
+}
+
+/**
+ * Import a Backstage catalog into the data directory
+ * @param {Object} options - Parsed command line options
+ * @param {string} dataDir - Path to the data directory
+ * @returns {Promise<{steps: Array<Object>, diagnostics: Array<Object>, applied: boolean}>} -
+ * The plan, the problems found and whether it was written
+ */
+export async function importBackstage(options, dataDir) {
+	if (!options.source) {
+		throw new Error("Missing the catalog directory to import");
+	}
+	if (!fs.existsSync(options.source)) {
+		throw new Error(`Not found: ${options.source}`);
+	}
+	if (options.view.includes("/")) {
+		throw new Error("--view takes a view folder name, not a path");
+	}
+
+	const entities = [];
+	const diagnostics = [];
+	for (const file of findCatalogFiles(options.source)) {
+		const parsed = parseCatalog(
+			fs.readFileSync(file, "utf8"),
+			path.relative(process.cwd(), file),
+		);
+		entities.push(...parsed.entities);
+		diagnostics.push(...parsed.diagnostics);
+	}
+
+	const { rows, diagnostics: mapping } = catalogToRows(entities, {
+		view: options.view,
+	});
+	diagnostics.push(...mapping);
+	if (rows.length === 0) {
+		diagnostics.push({
+			level: "error",
+			file: options.source,
+			message: "no Domain, System or Component entities found",
+		});
+	}
+
+	const plan = await planImport(rows, dataDir);
+	diagnostics.push(...plan.diagnostics);
+
+	const hasErrors = diagnostics.some((d) => d.level === "error");
+	const applied = !options.dryRun && !hasErrors;
+	if (applied) applyImport(plan.steps);
+
+	return { steps: plan.steps, diagnostics, applied };
+}
+
+/**
+ * Run the import if executed directly
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const projectRoot = path.resolve(__dirname, "..");
+	const dataDir = path.join(projectRoot, "src", "data");
+
+	await runImportCommand({
+		args: process.argv.slice(2),
+		usage: USAGE,
+		input: "source",
+		defaultView: DEFAULT_VIEW,
+		run: (options) => importBackstage(options, dataDir),
+	});
+}
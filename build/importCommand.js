@@ -0,0 +1,122 @@
+import { parseArgs } from "node:util";
+import { formatDiagnostics } from "./validateSettings.js";
+
+/**
+ * Import Command Runner
+ * @description Command line handling shared by the import commands
+ * (`pnpm import-csv`, `pnpm import-backstage`)
+ *
+ * Both take one input, `--view` and `--dry-run`, print the problems found
+ * and the planned (or written) changes, and exit with status 1 when the
+ * arguments are wrong or the import has errors. A dry run with errors fails
+ * too, so CI can check an input before it is imported.
+ *
+ * @example
+ * await runImportCommand({
+ *   args: process.argv.slice(2),
+ *   usage: USAGE,
+ *   input: "file",
+ *   run: (options) => importHierarchy(options, dataDir),
+ * });
+ */
+
+/**
+ * Parse the arguments of an import command
+ * @param {Array<string>} args - Arguments after the script name
+ * @param {Object} command - What the command takes
+ * @param {string} command.input - Option name of the positional input, e.g. "file"
+ * @param {string} command.defaultView - Default of `--view`
+ * @returns {Object} - Parsed options: `view`, `dryRun`, `help` and the input
+ */
+export function parseImportArgs(args, { input, defaultView }) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			view: { type: "string", default: defaultView },
+			"dry-run": { type: "boolean", default: false },
+			help: { type: "boolean", default: false },
+		},
+	});
+
+	if (positionals.length > 1) {
+		throw new Error(`Unexpected argument "${positionals[1]}"`);
+	}
+
+	return { ...values, dryRun: values["dry-run"], [input]: positionals[0] };
+}
+
+/**
+ * Format the import plan for the console
+ * @param {Array<Object>} steps - Steps from planImport
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.dryRun - Describe the changes as planned rather than made
+ * @returns {string} - The formatted plan
+ */
+export function formatImportPlan(steps, { dryRun = false } = {}) {
+	const count = (action) =>
+		steps.filter((step) => step.action === action).length;
+	const lines = [
+		`${dryRun ? "Planned import" : "Imported"}: ` +
+			`${count("create")} created, ${count("update")} updated, ` +
+			`${count("unchanged")} unchanged`,
+	];
+
+	for (const step of steps) {
+		if (step.action === "unchanged") continue;
+
+		lines.push(`  ${step.action === "create" ? "+" : "~"} ${step.id}`);
+		for (const { field, before, after } of step.changes) {
+			const from = before === undefined ? "" : `${JSON.stringify(before)} → `;
+			lines.push(`      ${field}: ${from}${JSON.stringify(after)}`);
+		}
+	}
+
+	return lines.join("\n");
+}
+
+/**
+ * Run an import command and report the outcome
+ * @param {Object} command - The command
+ * @param {Array<string>} command.args - Arguments after the script name
+ * @param {string} command.usage - Help text, also printed after argument errors
+ * @param {string} command.input - Option name of the positional input (see parseImportArgs)
+ * @param {string} command.defaultView - Default of `--view`
+ * @param {Function} command.run - Runs the import with the parsed options and
+ * resolves to `{ steps, diagnostics, applied }`
+ * @returns {Promise<void>}
+ */
+export async function runImportCommand({
+	args,
+	usage,
+	input,
+	defaultView,
+	run,
+}) {
+	try {
+		const options = parseImportArgs(args, { input, defaultView });
+
+		if (options.help) {
+			console.log(usage);
+			return;
+		}
+
+		const { steps, diagnostics, applied } = await run(options);
+
+		const report = formatDiagnostics(diagnostics);
+		if (report) console.warn(`${report}\n`);
+
+		console.log(formatImportPlan(steps, { dryRun: !applied }));
+
+		if (diagnostics.some((d) => d.level === "error")) {
+			if (!options.dryRun) {
+				console.error("\nNothing was written: fix the errors above first.");
+			}
+			process.exitCode = 1;
+		}
+	} catch (error) {
+		console.error(error.message);
+		console.error(`\n${usage}`);
+		process.exitCode = 1;
+	}
+}
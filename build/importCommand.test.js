@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import { parseImportArgs, runImportCommand } from "./importCommand.js";
+
+const console = globalThis.console;
+
+beforeEach(() => {
+	globalThis.console = { log() {}, warn() {}, error() {} };
+});
+
+afterEach(() => {
+	globalThis.console = console;
+	process.exitCode = undefined;
+});
+
+/**
+ * Run an import command whose import finds the given problems
+ * @param {Array<string>} args - Command line arguments
+ * @param {Array<Object>} diagnostics - Problems the import reports
+ * @returns {Promise<number|undefined>} - The exit code
+ */
+async function exitCodeOf(args, diagnostics) {
+	await runImportCommand({
+		args,
+		usage: "Usage",
+		input: "file",
+		run: async (options) => ({
+			steps: [],
+			diagnostics,
+			applied: !options.dryRun && diagnostics.length === 0,
+		}),
+	});
+	return process.exitCode;
+}
+
+test("parses the input, --view and --dry-run", () => {
+	assert.deepEqual(
+		parseImportArgs(["teams.csv", "--dry-run"], {
+			input: "file",
+			defaultView: "Catalog-View",
+		}),
+		{
+			view: "Catalog-View",
+			"dry-run": true,
+			help: false,
+			dryRun: true,
+			file: "teams.csv",
+		},
+	);
+});
+
+test("a dry run with errors exits with status 1", async () => {
+	const error = { level: "error", file: "teams.csv", message: "bad" };
+
+	assert.equal(await exitCodeOf(["teams.csv", "--dry-run"], [error]), 1);
+});
+
+test("a clean dry run exits with status 0", async () => {
+	assert.equal(await exitCodeOf(["teams.csv", "--dry-run"], []), undefined);
+});
+
+test("an unexpected argument exits with status 1", async () => {
+	assert.equal(await exitCodeOf(["a.csv", "b.csv"], []), 1);
+});
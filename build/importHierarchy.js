@@ -0,0 +1,342 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { formatNodeName } from "./generateDataModels.js";
+import { runImportCommand } from "./importCommand.js";
+import {
+	mergeSettings,
+	readSettingsFile,
+	writeSettingsFile,
+} from "./settingsFile.js";
+import { validateSettings } from "./validateSettings.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Hierarchy Import Command
+ * @description Creates or updates folders and _settings.js files in src/data
+ * from a CSV spreadsheet
+ *
+ * Each row names a folder by its path and sets some of its settings. Missing
+ * folders (and their parents) are created with a _settings.js; existing
+ * settings are merged: empty cells leave a field alone and fields the CSV
+ * doesn't have are never touched. Nothing is written when a row has errors.
+ *
+ * @example
+ * pnpm import-csv teams.csv --dry-run
+ * pnpm import-csv teams.csv --view Domain-Team-View
+ */
+
+/**
+ * Columns read from the CSV, mapped to settings fields
+ * "contact" becomes `contactEmail` for email addresses.
+ */
+export const IMPORT_COLUMNS = [
+	"path",
+	"name",
+	"description",
+	"owner",
+	"contact",
+	"nodeColor",
+	"size",
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Characters that can't appear in a folder name on common file systems
+ */
+const INVALID_FOLDER_NAME = /[\\:*?"<>|]|^\.{1,2}$/;
+
+const USAGE = `Usage: pnpm import-csv <file.csv> [options]
+
+Columns: ${IMPORT_COLUMNS.join(", ")} (only "path" is required)
+
+Options:
+  --view <name>  Paths are relative to this view, e.g. Enterprise-Clients/EU-Clients
+                 (default: paths start with the view folder)
+  --dry-run      Print the planned changes without writing anything
+  --help         Show this help`;
+
+/**
+ * Parse CSV text into records
+ * Handles quoted cells with commas, quotes and line breaks (RFC 4180), CRLF
+ * line endings and the byte order mark spreadsheet apps add.
+ * @param {string} text - CSV text
+ * @returns {Array<{line: number, cells: Array<string>}>} - Records with the line they start on
+ */
+export function parseCsv(text) {
+	const records = [];
+	let cells = [];
+	let cell = "";
+	let quoted = false;
+	let line = 1;
+	let recordLine = 1;
+
+	const source = text.replace(/^\uFEFF/, "");
+	const endRecord = () => {
+		cells.push(cell);
+		records.push({ line: recordLine, cells });
+		cells = [];
+		cell = "";
+		recordLine = line;
+	};
+
+	for (let i = 0; i < source.length; i++) {
+		const char = source[i];
+
+		if (quoted) {
+			if (char === '"' && source[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				if (char === "\n") line++;
+				cell += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ",") {
+			cells.push(cell);
+			cell = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && source[i + 1] === "\n") i++;
+			line++;
+			endRecord();
+		} else {
+			cell += char;
+		}
+	}
+
+	if (cell !== "" || cells.length > 0) endRecord();
+
+	// Blank lines are not records
+	return records.filter((record) => record.cells.some((value) => value.trim()));
+}
+
+/**
+ * Turn CSV records into folder updates
+ * @param {string} text - CSV text
+ * @param {Object} options - Read options
+ * @param {string} options.file - CSV file name used in diagnostics
+ * @param {string} options.view - View the paths are relative to, if any
+ * @returns {{rows: Array<Object>, diagnostics: Array<Object>}} - One
+ * `{ id, updates }` per row with valid settings, and the problems found
+ */
+export function readImportRows(text, { file, view }) {
+	const [header, ...records] = parseCsv(text);
+	const diagnostics = [];
+
+	const columns = (header?.cells || []).map((name) =>
+		IMPORT_COLUMNS.find(
+			(column) => column.toLowerCase() === name.trim().toLowerCase(),
+		),
+	);
+	if (!columns.includes("path")) {
+		throw new Error(`${file} has no "path" column`);
+	}
+
+	const ignored = header.cells.filter((_name, i) => !columns[i]);
+	if (ignored.length > 0) {
+		diagnostics.push({
+			level: "warning",
+			file,
+			message: `ignoring unknown column(s): ${ignored.join(", ")}`,
+		});
+	}
+
+	const rows = [];
+	const seen = new Map();
+
+	for (const { line, cells } of records) {
+		const location = `${file}:${line}`;
+		const report = (level, message) =>
+			diagnostics.push({ level, file: location, message });
+
+		const record = {};
+		columns.forEach((column, i) => {
+			const value = cells[i]?.trim();
+			if (column && value) record[column] = value;
+		});
+
+		const segments = [
+			...(view ? [view] : []),
+			...(record.path || "").split("/").filter(Boolean),
+		];
+		const invalid = segments.find((segment) =>
+			INVALID_FOLDER_NAME.test(segment),
+		);
+		if (!record.path || invalid) {
+			report(
+				"error",
+				invalid ? `invalid folder name "${invalid}"` : "missing path",
+			);
+			continue;
+		}
+
+		const id = segments.join("/");
+		if (seen.has(id)) {
+			report("error", `duplicate path ${id} (first on line ${seen.get(id)})`);
+			continue;
+		}
+		seen.set(id, line);
+
+		const fields = {};
+		for (const column of IMPORT_COLUMNS.slice(1)) {
+			const value = record[column];
+			if (!value) continue;
+
+			if (column === "contact") {
+				fields[EMAIL_PATTERN.test(value) ? "contactEmail" : "contact"] = value;
+			} else {
+				fields[column] = column === "size" ? Number(value) : value;
+			}
+		}
+
+		const result = validateSettings(fields, { file: location });
+		diagnostics.push(...result.diagnostics);
+		rows.push({ id, updates: result.settings });
+	}
+
+	return { rows, diagnostics };
+}
+
+/**
+ * Work out which _settings.js files to create or update
+ * @param {Array<Object>} rows - Rows from readImportRows
+ * @param {string} dataDir - Path to the data directory
+ * @returns {Promise<{steps: Array<Object>, diagnostics: Array<Object>}>} -
+ * One step per folder, parents first, and the problems found
+ */
+export async function planImport(rows, dataDir) {
+	const updatesById = new Map(rows.map((row) => [row.id, row.updates]));
+	const diagnostics = [];
+
+	// Parents of imported folders need a _settings.js too, or Git drops them
+	for (const { id } of rows) {
+		const segments = id.split("/");
+		for (let depth = 1; depth < segments.length; depth++) {
+			const parentId = segments.slice(0, depth).join("/");
+			if (!updatesById.has(parentId)) updatesById.set(parentId, {});
+		}
+	}
+
+	const steps = [];
+
+	for (const id of [...updatesById.keys()].sort()) {
+		const dirPath = path.join(dataDir, ...id.split("/"));
+		const settingsPath = path.join(dirPath, "_settings.js");
+		const file = path.relative(process.cwd(), settingsPath);
+		const current = await readSettingsFile(settingsPath);
+
+		if (current.problem) {
+			diagnostics.push({
+				level: "warning",
+				file,
+				message: `not updated: ${current.problem}`,
+			});
+			continue;
+		}
+
+		const updates = { ...updatesById.get(id) };
+
+		// A name matching the folder name is the default anyway
+		if (
+			!current.settings.name &&
+			updates.name === formatNodeName(path.basename(dirPath))
+		) {
+			delete updates.name;
+		}
+
+		if (updates.contact && current.settings.contactEmail) {
+			diagnostics.push({
+				level: "warning",
+				file,
+				message: `"contactEmail" is set and is shown instead of the imported contact "${updates.contact}"`,
+			});
+		}
+
+		const { settings, changes } = mergeSettings(current.settings, updates);
+		const action = !current.exists
+			? "create"
+			: changes.length > 0
+				? "update"
+				: "unchanged";
+
+		steps.push({
+			action,
+			id,
+			settingsPath,
+			settings,
+			changes,
+			header: current.header,
+			isViewRoot: !id.includes("/"),
+		});
+	}
+
+	return { steps, diagnostics };
+}
+
+/**
+ * Write the planned folders and _settings.js files
+ * @param {Array<Object>} steps - Steps from planImport
+ */
+export function applyImport(steps) {
+	for (const step of steps) {
+		if (step.action === "unchanged") continue;
+
+		fs.mkdirSync(path.dirname(step.settingsPath), { recursive: true });
+		writeSettingsFile(step.settingsPath, step.settings, {
+			header: step.header,
+			isViewRoot: step.isViewRoot,
+		});
+	}
+}
+
+/**
+ * Import a CSV file into the data directory
+ * @param {Object} options - Parsed command line options
+ * @param {string} dataDir - Path to the data directory
+ * @returns {Promise<{steps: Array<Object>, diagnostics: Array<Object>, applied: boolean}>} -
+ * The plan, the problems found and whether it was written
+ */
+export async function importHierarchy(options, dataDir) {
+	if (!options.file) {
+		throw new Error("Missing the CSV file to import");
+	}
+	if (!fs.existsSync(options.file)) {
+		throw new Error(`File not found: ${options.file}`);
+	}
+
+	const text = fs.readFileSync(options.file, "utf8");
+	const { rows, diagnostics } = readImportRows(text, {
+		file: options.file,
+		view: options.view,
+	});
+	const plan = await planImport(rows, dataDir);
+	diagnostics.push(...plan.diagnostics);
+
+	// A half-applied spreadsheet is harder to review than none
+	const hasErrors = diagnostics.some((d) => d.level === "error");
+	const applied = !options.dryRun && !hasErrors;
+	if (applied) applyImport(plan.steps);
+
+	return { steps: plan.steps, diagnostics, applied };
+}
+
+/**
+ * Run the import if executed directly
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const projectRoot = path.resolve(__dirname, "..");
+	const dataDir = path.join(projectRoot, "src", "data");
+
+	await runImportCommand({
+		args: process.argv.slice(2),
+		usage: USAGE,
+		input: "file",
+		run: (options) => importHierarchy(options, dataDir),
+	});
+}
@@ -0,0 +1,233 @@
+import fs from "node:fs";
+
+/**
+ * Settings File Writer
+ * @description Reads and rewrites _settings.js files for the import commands
+ *
+ * A file is only rewritten when it has the `export default { ... };` form and
+ * plain literal values, so nothing written by hand can be lost: the header
+ * comment is kept, every existing field is kept in its place, and new fields
+ * are appended. Files in any other form are reported as not writable and
+ * left alone.
+ */
+
+/**
+ * Header comment of a new folder's _settings.js
+ */
+const FOLDER_HEADER = `/**
+ * @name: Custom display name for the segment
+ * @description: Description of the business segment
+ * @nodeColor?: Custom color for all child nodes in this segment
+ * @owner?: Owner of the segment
+ * @contactEmail?: Contact email for the segment
+ */`;
+
+/**
+ * Header comment of a new view's top-level _settings.js
+ */
+const VIEW_HEADER = `/**
+ * @name: Custom display name for the segment
+ * @description: Description of the business segment
+ * @nodeColor?: Custom color for all child nodes in this segment
+ * @owner?: Owner of the segment
+ * @contactEmail?: Contact email for the segment
+ * @order?: Position of this view's tab (lower first)
+ * @defaultView?: Open this view when the URL does not name one
+ */`;
+
+/**
+ * Read a _settings.js file for rewriting
+ * @param {string} settingsPath - Path to the _settings.js file
+ * @returns {Promise<Object>} - `{ exists, settings, header }` when the file can
+ * be rewritten, or `{ exists, problem }` describing why it can't
+ */
+export async function readSettingsFile(settingsPath) {
+	if (!fs.existsSync(settingsPath)) {
+		return { exists: false, settings: {}, header: null };
+	}
+
+	const source = fs.readFileSync(settingsPath, "utf8");
+	const start = source.search(/export default\s*\{/);
+	const objectStart = source.indexOf("{", start);
+	const objectEnd = start === -1 ? -1 : findClosingBrace(source, objectStart);
+
+	if (objectEnd === -1 || !/^;?\s*$/.test(source.slice(objectEnd + 1))) {
+		return {
+			exists: true,
+			problem: "not in the `export default { ... };` form",
+		};
+	}
+
+	if (hasComments(source.slice(objectStart, objectEnd + 1))) {
+		return { exists: true, problem: "has comments inside the settings" };
+	}
+
+	let settings;
+	try {
+		// Cache busting, so a file rewritten earlier in this run is read fresh
+		const settingsModule = await import(
+			`file://${settingsPath}?t=${Date.now()}`
+		);
+		settings = settingsModule.default;
+	} catch (error) {
+		return { exists: true, problem: `failed to load: ${error.message}` };
+	}
+
+	if (!isPlainObject(settings) || !isLiteralValue(settings)) {
+		return { exists: true, problem: "has values that are not plain literals" };
+	}
+
+	return { exists: true, settings, header: source.slice(0, start).trimEnd() };
+}
+
+/**
+ * Merge new field values into existing settings
+ * Existing fields keep their position; fields not in `updates` are untouched.
+ * @param {Object} settings - The current settings
+ * @param {Object} updates - Field values to set
+ * @returns {{settings: Object, changes: Array<Object>}} - The merged settings
+ * and one `{ field, before, after }` entry per field that changed
+ */
+export function mergeSettings(settings, updates) {
+	const merged = { ...settings };
+	const changes = [];
+
+	for (const [field, value] of Object.entries(updates)) {
+		if (JSON.stringify(merged[field]) === JSON.stringify(value)) continue;
+		changes.push({ field, before: merged[field], after: value });
+		merged[field] = value;
+	}
+
+	return { settings: merged, changes };
+}
+
+/**
+ * Write a _settings.js file
+ * @param {string} settingsPath - Path to the _settings.js file
+ * @param {Object} settings - The settings to write
+ * @param {Object} options - Write options
+ * @param {string|null} options.header - Existing header to keep (default: the template)
+ * @param {boolean} options.isViewRoot - Use the view template for a new file
+ */
+export function writeSettingsFile(
+	settingsPath,
+	settings,
+	{ header = null, isViewRoot = false } = {},
+) {
+	const fileHeader = header ?? (isViewRoot ? VIEW_HEADER : FOLDER_HEADER);
+	const prefix = fileHeader ? `${fileHeader}\n` : "";
+	fs.writeFileSync(
+		settingsPath,
+		`${prefix}export default ${formatObject(settings)};\n`,
+	);
+}
+
+/**
+ * Format a settings object the way the repo's formatter lays it out
+ * @param {Object} settings - The settings
+ * @returns {string} - Object literal source, one field per line
+ */
+function formatObject(settings) {
+	const entries = Object.entries(settings);
+	if (entries.length === 0) return "{}";
+
+	const lines = entries.map(
+		([key, value]) => `\t${formatKey(key)}: ${formatValue(value)},`,
+	);
+	return `{\n${lines.join("\n")}\n}`;
+}
+
+/**
+ * Format a literal value; nested arrays and objects stay on one line
+ * @param {*} value - String, number, boolean, array or plain object
+ * @returns {string} - Value source
+ */
+function formatValue(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map(formatValue).join(", ")}]`;
+	}
+	if (isPlainObject(value)) {
+		const entries = Object.entries(value);
+		if (entries.length === 0) return "{}";
+		const fields = entries.map(
+			([key, nested]) => `${formatKey(key)}: ${formatValue(nested)}`,
+		);
+		return `{ ${fields.join(", ")} }`;
+	}
+	return JSON.stringify(value);
+}
+
+/**
+ * Format an object key, quoting it only when needed
+ * @param {string} key - The key
+ * @returns {string} - Key source
+ */
+function formatKey(key) {
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Find the brace closing the one at `start`, skipping strings
+ * @param {string} source - File source
+ * @param {number} start - Index of the opening brace
+ * @returns {number} - Index of the closing brace, or -1
+ */
+function findClosingBrace(source, start) {
+	let depth = 0;
+	let quote = null;
+
+	for (let i = start; i < source.length; i++) {
+		const char = source[i];
+		if (quote) {
+			if (char === "\\") i++;
+			else if (char === quote) quote = null;
+		} else if (char === '"' || char === "'" || char === "`") {
+			quote = char;
+		} else if (char === "{") {
+			depth++;
+		} else if (char === "}" && --depth === 0) {
+			return i;
+		}
+	}
+
+	return -1;
+}
+
+/**
+ * Check whether source code contains comments outside of strings
+ * @param {string} source - Source code
+ * @returns {boolean} - True when a comment would be lost by rewriting
+ */
+function hasComments(source) {
+	const withoutStrings = source.replace(
+		/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`/g,
+		'""',
+	);
+	return /\/\/|\/\*/.test(withoutStrings);
+}
+
+/**
+ * Check whether a value can be written back as a literal
+ * @param {*} value - The value to check
+ * @returns {boolean} - True for strings, finite numbers, booleans, and arrays
+ * and plain objects of those
+ */
+function isLiteralValue(value) {
+	if (Array.isArray(value)) return value.every(isLiteralValue);
+	if (isPlainObject(value)) return Object.values(value).every(isLiteralValue);
+	if (typeof value === "number") return Number.isFinite(value);
+	return typeof value === "string" || typeof value === "boolean";
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value to check
+ * @returns {boolean} - True for `{}`-style objects
+ */
+function isPlainObject(value) {
+	return (
+		typeof value === "object" &&
+		value !== null &&
+		Object.getPrototypeOf(value) === Object.prototype
+	);
+}
@@ -0,0 +1,556 @@
+/**
+ * Settings Validator
+ * @description Schema-driven validation for _settings.js files
+ *
+ * Each schema entry describes one allowed field. Validation collects
+ * diagnostics instead of throwing, so a single run can report every problem
+ * in the data directory. Invalid values are dropped from the returned
+ * settings so they never reach the generated data model.
+ *
+ * Diagnostic shape: { level: "error" | "warning", file: string, message: string }
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Node fields that descendants inherit when they don't set their own value
+ * Add a field here to make it cascade; `inherit` settings can opt out per field.
+ */
+export const INHERITED_FIELDS = ["nodeColor", "owner", "contact"];
+
+/**
+ * Allowed settings fields
+ * - type: Expected `typeof` of the value
+ * - format: Optional string format ("email" or "hexColor")
+ * - positive: Number must be greater than zero
+ * - viewOnly: Only meaningful in a view's top-level _settings.js
+ * - validate: Custom check returning a problem description, or null when valid
+ */
+export const SETTINGS_SCHEMA = {
+	name: { type: "string" },
+	description: { type: "string" },
+	owner: { type: "string" },
+	contact: { type: "string" },
+	contactEmail: { type: "string", format: "email" },
+	nodeColor: { type: "string", format: "hexColor" },
+	size: { type: "number", positive: true },
+	order: { type: "number", viewOnly: true },
+	defaultView: { type: "boolean", viewOnly: true },
+	inherit: { validate: validateInherit },
+	codePaths: { validate: validateCodePaths },
+	ownedBy: { validate: validateNodeReferences },
+	escalation: { validate: validateEscalation },
+	oncall: { validate: validateOncall },
+	tags: { validate: validateTags },
+	metrics: { validate: validateMetrics },
+};
+
+/**
+ * Fields of an `escalation` tier
+ */
+const ESCALATION_TIER_FIELDS = ["owner", "contact", "note"];
+
+/**
+ * Fields of an `oncall` rotation
+ */
+const ONCALL_FIELDS = [
+	"members",
+	"start",
+	"rotationDays",
+	"handoff",
+	"timezone",
+	"overrides",
+];
+
+/**
+ * Error thrown when settings validation fails a strict build
+ */
+export class SettingsValidationError extends Error {
+	/**
+	 * @param {Array<Object>} diagnostics - The error diagnostics
+	 */
+	constructor(diagnostics) {
+		super(
+			`Settings validation failed with ${diagnostics.length} error(s). See the report above.`,
+		);
+		this.name = "SettingsValidationError";
+		this.diagnostics = diagnostics;
+	}
+}
+
+/**
+ * Validate a settings object against the schema
+ * @param {*} settings - The default export of a _settings.js file
+ * @param {Object} options - Validation options
+ * @param {string} options.file - Settings file path used in diagnostics
+ * @param {boolean} options.isViewRoot - Whether the file belongs to a view folder
+ * @returns {{settings: Object, diagnostics: Array<Object>}} - Valid fields and problems found
+ */
+export function validateSettings(settings, { file, isViewRoot = false }) {
+	const diagnostics = [];
+	const report = (level, message) => diagnostics.push({ level, file, message });
+
+	if (!isPlainObject(settings)) {
+		report("error", "default export must be an object");
+		return { settings: {}, diagnostics };
+	}
+
+	const valid = {};
+
+	for (const [key, value] of Object.entries(settings)) {
+		const rule = SETTINGS_SCHEMA[key];
+
+		if (!rule) {
+			const suggestion = suggestKey(key);
+			report(
+				"error",
+				suggestion
+					? `unknown setting "${key}". Did you mean "${suggestion}"?`
+					: `unknown setting "${key}"`,
+			);
+			continue;
+		}
+
+		if (value === undefined || value === null) continue;
+
+		const problem = checkValue(value, rule);
+		if (problem) {
+			report("error", `"${key}" ${problem}`);
+			continue;
+		}
+
+		if (rule.viewOnly && !isViewRoot) {
+			report(
+				"warning",
+				`"${key}" only applies to a view's top-level _settings.js and is ignored here`,
+			);
+			continue;
+		}
+
+		valid[key] = value;
+	}
+
+	if (valid.contact && valid.contactEmail) {
+		report(
+			"warning",
+			'both "contact" and "contactEmail" are set; "contactEmail" is used',
+		);
+	}
+
+	return { settings: valid, diagnostics };
+}
+
+/**
+ * Check a value against a schema rule
+ * @param {*} value - The value to check
+ * @param {Object} rule - The schema rule
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function checkValue(value, rule) {
+	if (rule.validate) {
+		return rule.validate(value);
+	}
+
+	if (typeof value !== rule.type) {
+		return `must be a ${rule.type}, got ${describeType(value)}`;
+	}
+
+	if (rule.type === "number" && !Number.isFinite(value)) {
+		return "must be a finite number";
+	}
+
+	if (rule.positive && value <= 0) {
+		return `must be greater than 0, got ${value}`;
+	}
+
+	if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+		return `must be an email address, got "${value}"`;
+	}
+
+	if (rule.format === "hexColor" && !HEX_COLOR_PATTERN.test(value)) {
+		return `must be a hex colour like "#1576bb", got "${value}"`;
+	}
+
+	return null;
+}
+
+/**
+ * Validate the `inherit` setting
+ * Either `false` to inherit nothing, or an object of per-field flags
+ * such as `{ owner: false }`.
+ * @param {*} value - The setting value
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function validateInherit(value) {
+	if (typeof value === "boolean") return null;
+
+	if (!isPlainObject(value)) {
+		return `must be a boolean or an object like { owner: false }, got ${describeType(value)}`;
+	}
+
+	for (const [field, flag] of Object.entries(value)) {
+		if (!INHERITED_FIELDS.includes(field)) {
+			return `has unknown field "${field}" (inherited fields: ${INHERITED_FIELDS.join(", ")})`;
+		}
+		if (typeof flag !== "boolean") {
+			return `"${field}" must be a boolean, got ${describeType(flag)}`;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Validate the `codePaths` setting
+ * A list of repository paths or globs resolved against CODEOWNERS, such as
+ * `["services/payments/**"]`.
+ * @param {*} value - The setting value
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function validateCodePaths(value) {
+	if (!Array.isArray(value)) {
+		return `must be an array of paths like ["services/payments/**"], got ${describeType(value)}`;
+	}
+
+	const invalid = value.find(
+		(codePath) => typeof codePath !== "string" || !codePath.trim(),
+	);
+	if (invalid !== undefined) {
+		return `must only contain non-empty strings, got ${JSON.stringify(invalid)}`;
+	}
+
+	return null;
+}
+
+/**
+ * Validate the `ownedBy` setting
+ * One node ID, or a list of them, usually pointing into another view, such as
+ * `"Domain-Team-View/Enterprise-Clients/US-Clients/DB-Team"`. Whether the nodes
+ * exist is checked once all views are generated.
+ * @param {*} value - The setting value
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function validateNodeReferences(value) {
+	const references = Array.isArray(value) ? value : [value];
+
+	const invalid = references.find(
+		(reference) => typeof reference !== "string" || !reference.trim(),
+	);
+	if (invalid !== undefined) {
+		return `must be a node ID or an array of node IDs, got ${Array.isArray(value) ? JSON.stringify(invalid) : describeType(value)}`;
+	}
+
+	return null;
+}
+
+/**
+ * Validate the `escalation` setting
+ * A list of tiers to page at this node's level, in order, such as
+ * `[{ owner: "Payments On-Call", contact: "#payments-oncall" }]`.
+ * @param {*} value - The setting value
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function validateEscalation(value) {
+	if (!Array.isArray(value)) {
+		return `must be an array of tiers like [{ owner: "Payments On-Call", contact: "#payments-oncall" }], got ${describeType(value)}`;
+	}
+	if (value.length === 0) return "must list at least one tier";
+
+	for (const [index, tier] of value.entries()) {
+		if (!isPlainObject(tier)) {
+			return `tier ${index + 1} must be an object, got ${describeType(tier)}`;
+		}
+
+		for (const [field, fieldValue] of Object.entries(tier)) {
+			if (!ESCALATION_TIER_FIELDS.includes(field)) {
+				return `tier ${index + 1} has unknown field "${field}" (tier fields: ${ESCALATION_TIER_FIELDS.join(", ")})`;
+			}
+			if (typeof fieldValue !== "string" || !fieldValue.trim()) {
+				return `tier ${index + 1} "${field}" must be a non-empty string`;
+			}
+		}
+
+		if (!tier.owner && !tier.contact) {
+			return `tier ${index + 1} needs an owner or a contact`;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Validate the `tags` setting
+ * Key/value pairs describing the node and its descendants, such as
+ * `{ tier: "1", region: "EU", compliance: ["PCI", "SOC2"] }`. Values are
+ * strings, numbers or booleans, or lists of them.
+ * @param {*} value - The setting value
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function validateTags(value) {
+	if (!isPlainObject(value)) {
+		return `must be an object like { tier: "1", compliance: ["PCI"] }, got ${describeType(value)}`;
+	}
+
+	for (const [key, tagValue] of Object.entries(value)) {
+		if (!key.trim()) return "has an empty tag name";
+
+		const values = Array.isArray(tagValue) ? tagValue : [tagValue];
+		const invalid = values.find(
+			(item) =>
+				!["string", "number", "boolean"].includes(typeof item) ||
+				String(item).trim() === "",
+		);
+		if (invalid !== undefined || values.length === 0) {
+			return `"${key}" must be a value or a list of values (strings, numbers or booleans), got ${JSON.stringify(tagValue)}`;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Validate the `metrics` setting
+ * Named numbers the visualization can be sized by, such as
+ * `{ headcount: 8, services: 3, monthlyIncidents: 2, revenueShare: 0.15 }`.
+ * @param {*} value - The setting value
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function validateMetrics(value) {
+	if (!isPlainObject(value)) {
+		return `must be an object like { headcount: 8, services: 3 }, got ${describeType(value)}`;
+	}
+
+	for (const [key, metric] of Object.entries(value)) {
+		if (!key.trim()) return "has an empty metric name";
+		if (typeof metric !== "number" || !Number.isFinite(metric) || metric < 0) {
+			return `"${key}" must be a number of zero or more, got ${JSON.stringify(metric)}`;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Validate the `oncall` setting
+ * A rotation such as `{ members: ["Ana", "Ben"], start: "2026-01-05",
+ * rotationDays: 7, handoff: "09:00", timezone: "Europe/Berlin", overrides: [] }`.
+ * Members are names or `{ name, contact }`; overrides are
+ * `{ member, start, end }` with a date or a date and time ("2026-03-02T18:00").
+ * @param {*} value - The setting value
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function validateOncall(value) {
+	if (!isPlainObject(value)) {
+		return `must be an object like { members: ["Ana", "Ben"], start: "2026-01-05" }, got ${describeType(value)}`;
+	}
+
+	for (const field of Object.keys(value)) {
+		if (!ONCALL_FIELDS.includes(field)) {
+			return `has unknown field "${field}" (rotation fields: ${ONCALL_FIELDS.join(", ")})`;
+		}
+	}
+
+	const { members, start, rotationDays, handoff, timezone, overrides } = value;
+
+	if (!Array.isArray(members) || members.length === 0) {
+		return '"members" must be a non-empty array of names or { name, contact } objects';
+	}
+	const invalidMember = members.find((member) => !isOncallMember(member));
+	if (invalidMember !== undefined) {
+		return `"members" has an invalid member ${JSON.stringify(invalidMember)}`;
+	}
+
+	if (!isDate(start)) {
+		return `"start" must be a date like "2026-01-05", got ${JSON.stringify(start)}`;
+	}
+	if (
+		rotationDays !== undefined &&
+		!(Number.isInteger(rotationDays) && rotationDays > 0)
+	) {
+		return `"rotationDays" must be a whole number of days, got ${JSON.stringify(rotationDays)}`;
+	}
+	if (handoff !== undefined && !TIME_PATTERN.test(handoff)) {
+		return `"handoff" must be a time like "09:00", got ${JSON.stringify(handoff)}`;
+	}
+	if (timezone !== undefined && !isTimezone(timezone)) {
+		return `"timezone" must be an IANA timezone like "Europe/Berlin", got ${JSON.stringify(timezone)}`;
+	}
+
+	if (overrides === undefined) return null;
+	if (!Array.isArray(overrides)) {
+		return `"overrides" must be an array, got ${describeType(overrides)}`;
+	}
+
+	for (const [index, override] of overrides.entries()) {
+		const label = `override ${index + 1}`;
+		if (!isPlainObject(override) || !isOncallMember(override.member)) {
+			return `${label} must be an object like { member: "Ana", start: "2026-03-02", end: "2026-03-09" }`;
+		}
+
+		const [from, until] = [override.start, override.end].map((boundary) =>
+			normalizeDateTime(boundary, handoff ?? "09:00"),
+		);
+		if (!from || !until) {
+			return `${label} needs "start" and "end" dates like "2026-03-02" or "2026-03-02T18:00"`;
+		}
+		if (from >= until) {
+			return `${label} must end after it starts`;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Check whether a value is an on-call member: a name or `{ name, contact }`
+ * @param {*} member - The value to check
+ * @returns {boolean} - True for a valid member
+ */
+function isOncallMember(member) {
+	if (typeof member === "string") return member.trim() !== "";
+
+	return (
+		isPlainObject(member) &&
+		typeof member.name === "string" &&
+		member.name.trim() !== "" &&
+		(member.contact === undefined || typeof member.contact === "string") &&
+		Object.keys(member).every((key) => key === "name" || key === "contact")
+	);
+}
+
+/**
+ * Check whether a value is an existing calendar date ("YYYY-MM-DD")
+ * @param {*} value - The value to check
+ * @returns {boolean} - True for a valid date
+ */
+function isDate(value) {
+	if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+
+	const [year, month, day] = value.split("-").map(Number);
+	const date = new Date(Date.UTC(year, month - 1, day));
+	return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Normalize an override boundary to "YYYY-MM-DDTHH:MM" for comparison
+ * @param {*} value - A date, or a date and time
+ * @param {string} handoff - Time used for plain dates
+ * @returns {string|null} - The normalized boundary, or null when invalid
+ */
+function normalizeDateTime(value, handoff) {
+	if (typeof value !== "string") return null;
+
+	const [date, time = handoff, ...rest] = value.split("T");
+	if (rest.length > 0 || !isDate(date) || !TIME_PATTERN.test(time)) {
+		return null;
+	}
+	return `${date}T${time}`;
+}
+
+/**
+ * Check whether a value is a timezone the runtime knows
+ * @param {*} value - The value to check
+ * @returns {boolean} - True for a valid IANA timezone
+ */
+function isTimezone(value) {
+	if (typeof value !== "string") return false;
+
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: value });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Suggest the closest known setting for a misspelled key
+ * @param {string} key - The unknown key
+ * @returns {string|null} - The closest known key, if close enough
+ */
+export function suggestKey(key) {
+	let best = null;
+	let bestDistance = Number.POSITIVE_INFINITY;
+
+	for (const candidate of Object.keys(SETTINGS_SCHEMA)) {
+		const distance = levenshtein(key.toLowerCase(), candidate.toLowerCase());
+		if (distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	}
+
+	return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * Format diagnostics as a human-readable report
+ * @param {Array<Object>} diagnostics - Diagnostics to report
+ * @returns {string} - The report, empty when there is nothing to report
+ */
+export function formatDiagnostics(diagnostics) {
+	if (diagnostics.length === 0) return "";
+
+	const errors = diagnostics.filter((d) => d.level === "error");
+	const warnings = diagnostics.filter((d) => d.level === "warning");
+	const lines = [
+		`Settings validation: ${errors.length} error(s), ${warnings.length} warning(s)`,
+	];
+
+	for (const { level, file, message } of [...errors, ...warnings]) {
+		lines.push(`  ${level === "error" ? "✖" : "⚠"} ${file}: ${message}`);
+	}
+
+	return lines.join("\n");
+}
+
+/**
+ * Compute the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+function levenshtein(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+			);
+		}
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value to check
+ * @returns {boolean} - True for `{}`-style objects
+ */
+function isPlainObject(value) {
+	return (
+		typeof value === "object" &&
+		value !== null &&
+		Object.getPrototypeOf(value) === Object.prototype
+	);
+}
+
+/**
+ * Describe the type of a value for error messages
+ * @param {*} value - The value to describe
+ * @returns {string} - Type description
+ */
+function describeType(value) {
+	if (Array.isArray(value)) return "array";
+	if (value === null) return "null";
+	return typeof value;
+}
@@ -1,35 +1,115 @@
+import fs from "node:fs";
 import path from "node:path";
-import { generateAll, getViewDirectories } from "./generateDataModels.js";
+import { isStatusDocument } from "../src/utils/status-feed.js";
+import { findCodeownersFiles } from "./codeowners.js";
+import { generateAll, generateView } from "./generateDataModels.js";
+
+/**
+ * Custom HMR event carrying regenerated view data to the app
+ * Keep in sync with the listener in src/index.js.
+ */
+const DATA_UPDATE_EVENT = "master-compass:data-update";
+
+/**
+ * Custom HMR event carrying a pushed status document to the app
+ * Keep in sync with the listener in src/index.js.
+ */
+const STATUS_UPDATE_EVENT = "master-compass:status-update";
+
+/**
+ * Dev server endpoint accepting status documents (see src/utils/status-feed.js)
+ */
+const STATUS_ENDPOINT = "/__compass/status";
+
+/**
+ * Largest status document the endpoint accepts, in bytes
+ */
+const MAX_STATUS_BYTES = 1024 * 1024;
+
+/**
+ * Delay before regenerating, so bursts of events (e.g. a folder rename) rebuild once
+ */
+const REGENERATE_DELAY_MS = 100;
 
 /**
  * Vite plugin to generate data models at build time
  *
  * This plugin runs during both dev and build modes:
- * - In dev mode: Generates data on startup and watches for changes
- * - In build mode: Generates data before bundling
+ * - In dev mode: Generates data on startup and watches for changes;
+ *   settings validation problems are reported but never stop the server.
+ *   Any filesystem event (change, add, addDir, unlink, unlinkDir) regenerates
+ *   only the affected view and pushes it to the app as a custom HMR event,
+ *   so the page keeps its current view and focus instead of reloading.
+ *   Editing a CODEOWNERS file regenerates every view.
+ *   Status documents POSTed to /__compass/status are written to the status
+ *   file (which the app polls) and pushed to open pages straight away
+ * - In build mode: Generates data before bundling and fails the build
+ *   when any _settings.js has validation errors
  *
  * @param {Object} options - Plugin options
  * @param {string} options.dataDir - Path to data directory (relative to project root)
  * @param {string} options.outputDir - Path to output directory (relative to project root)
+ * @param {Object} options.exports - Optionally also write CSV/JSON/Mermaid/DOT exports:
+ *   `{ outputDir, formats, subtree, mermaidStyle, tags }`, outputDir relative to project root
+ * @param {Array<string|Object>} options.codeowners - CODEOWNERS files that resolve `codePaths`
+ *   (relative to project root), or `{ file, prefix }` entries (see loadCodeowners);
+ *   default: the project's own CODEOWNERS, found where GitHub looks for it
+ * @param {string} options.statusFile - Where pushed status documents are written
+ *   (relative to project root; default: public/compass-status.json)
  * @returns {import('vite').Plugin}
  */
 export default function dataGeneratorPlugin(options = {}) {
-	const { dataDir = "src/data", outputDir = "src/generated" } = options;
+	const {
+		dataDir = "src/data",
+		outputDir = "src/generated",
+		statusFile = "public/compass-status.json",
+	} = options;
 
 	let projectRoot;
 	let absoluteDataDir;
 	let absoluteOutputDir;
+	let exports;
+	let codeowners;
+	let isBuild = false;
+	let generatedViews = {};
 
 	return {
 		name: "vite-plugin-data-generator",
 
+		/**
+		 * Keep Vite's own watcher away from generated files, so rewriting them
+		 * never triggers an HMR update or full reload of its own
+		 */
+		config(config) {
+			const root = path.resolve(config.root || process.cwd());
+			return {
+				server: {
+					watch: {
+						ignored: [path.join(path.resolve(root, outputDir), "**")],
+					},
+				},
+			};
+		},
+
 		/**
 		 * Called when Vite config is resolved
 		 */
 		configResolved(config) {
 			projectRoot = config.root;
+			isBuild = config.command === "build";
 			absoluteDataDir = path.resolve(projectRoot, dataDir);
 			absoluteOutputDir = path.resolve(projectRoot, outputDir);
+			exports = options.exports && {
+				...options.exports,
+				outputDir: path.resolve(projectRoot, options.exports.outputDir),
+			};
+			codeowners = options.codeowners
+				? options.codeowners.map((entry) =>
+						typeof entry === "string"
+							? path.resolve(projectRoot, entry)
+							: { ...entry, file: path.resolve(projectRoot, entry.file) },
+					)
+				: findCodeownersFiles(projectRoot);
 		},
 
 		/**
@@ -39,7 +119,12 @@ export default function dataGeneratorPlugin(options = {}) {
 			console.log("\n🔨 Generating data models from directory structure...");
 
 			try {
-				await generateAll(absoluteDataDir, absoluteOutputDir);
+				generatedViews = await generateAll(absoluteDataDir, absoluteOutputDir, {
+					strict: isBuild,
+					exports,
+					codeowners,
+					rootDir: projectRoot,
+				});
 				console.log("✓ Data models generated successfully\n");
 			} catch (error) {
 				console.error("Failed to generate data models:", error);
@@ -51,66 +136,198 @@ export default function dataGeneratorPlugin(options = {}) {
 		 * Configure the dev server to watch for changes in data directory
 		 */
 		configureServer(server) {
-			// Watch the data directory for changes
-			server.watcher.add(path.join(absoluteDataDir, "**/*"));
-
-			// Ignore changes to generated files to prevent immediate HMR triggers
-			const ignoredPath = path.join(absoluteOutputDir, "**/*");
-			if (server.watcher.options.ignored) {
-				if (Array.isArray(server.watcher.options.ignored)) {
-					server.watcher.options.ignored.push(ignoredPath);
-				} else {
-					server.watcher.options.ignored = [
-						server.watcher.options.ignored,
-						ignoredPath,
-					];
+			// Watch the data directory for changes (chokidar watches directories
+			// recursively and no longer expands globs)
+			server.watcher.add(absoluteDataDir);
+
+			const codeownersFiles = codeowners.map((entry) =>
+				typeof entry === "string" ? entry : entry.file,
+			);
+			server.watcher.add(codeownersFiles);
+
+			const pendingViews = new Map();
+
+			const regenerate = async (viewName) => {
+				pendingViews.delete(viewName);
+				console.log(`\n📁 ${viewName} changed, regenerating its model...`);
+
+				try {
+					const { data, docs, views } = await generateView(
+						absoluteDataDir,
+						absoluteOutputDir,
+						viewName,
+						generatedViews,
+						{ exports, codeowners, rootDir: projectRoot },
+					);
+					console.log("✓ Data models regenerated\n");
+
+					// Invalidate the affected generated modules in Vite's module graph
+					[
+						path.join(absoluteOutputDir, "index.js"),
+						path.join(absoluteOutputDir, "views.js"),
+						path.join(absoluteOutputDir, `${viewName}.js`),
+						path.join(absoluteOutputDir, "docs", `${viewName}.js`),
+					].forEach((modulePath) => {
+						const module = server.moduleGraph.getModuleById(modulePath);
+						if (module) {
+							server.moduleGraph.invalidateModule(module);
+						}
+					});
+
+					// Hand the new hierarchy to the running app
+					server.ws.send({
+						type: "custom",
+						event: DATA_UPDATE_EVENT,
+						data: { view: viewName, data, docs, views },
+					});
+				} catch (error) {
+					console.error("Failed to regenerate data models:", error);
 				}
-			} else {
-				server.watcher.options.ignored = [ignoredPath];
-			}
+			};
+
+			const scheduleRegenerate = (viewName) => {
+				clearTimeout(pendingViews.get(viewName));
+				pendingViews.set(
+					viewName,
+					setTimeout(() => regenerate(viewName), REGENERATE_DELAY_MS),
+				);
+			};
+
+			server.middlewares.use(STATUS_ENDPOINT, (request, response) => {
+				receiveStatus(request, response, {
+					file: path.resolve(projectRoot, statusFile),
+					push: (statusDocument) =>
+						server.ws.send({
+							type: "custom",
+							event: STATUS_UPDATE_EVENT,
+							data: statusDocument,
+						}),
+				});
+			});
 
-			server.watcher.on("change", async (filePath) => {
-				// Only regenerate if the change is in the data directory
-				if (filePath.startsWith(absoluteDataDir)) {
-					console.log("\n📁 Data directory changed, regenerating models...");
-
-					try {
-						await generateAll(absoluteDataDir, absoluteOutputDir);
-						console.log("✓ Data models regenerated\n");
-
-						// Invalidate all generated modules in Vite's module graph
-						const modulesToInvalidate = [
-							path.join(absoluteOutputDir, "index.js"),
-						];
-
-						// Also invalidate individual view modules
-						const views = getViewDirectories(absoluteDataDir);
-						views.forEach((viewName) => {
-							modulesToInvalidate.push(
-								path.join(absoluteOutputDir, `${viewName}.js`),
-							);
-						});
-
-						// Invalidate each module
-						modulesToInvalidate.forEach((modulePath) => {
-							const module = server.moduleGraph.getModuleById(modulePath);
-							if (module) {
-								server.moduleGraph.invalidateModule(module);
-							}
-						});
-
-						// Trigger full reload after invalidation
-						setTimeout(() => {
-							server.ws.send({
-								type: "full-reload",
-								path: "*",
-							});
-						}, 100);
-					} catch (error) {
-						console.error("Failed to regenerate data models:", error);
-					}
+			server.watcher.on("all", (eventName, filePath) => {
+				// CODEOWNERS can change the owner of nodes in any view
+				if (codeownersFiles.includes(filePath)) {
+					Object.keys(generatedViews).forEach(scheduleRegenerate);
+					return;
 				}
+
+				const viewName = getAffectedView(absoluteDataDir, eventName, filePath);
+				if (viewName) scheduleRegenerate(viewName);
 			});
 		},
 	};
 }
+
+/**
+ * Work out which view a filesystem event belongs to
+ * @param {string} dataDir - Absolute path to the data directory
+ * @param {string} eventName - Watcher event (change, add, addDir, unlink, unlinkDir)
+ * @param {string} filePath - Absolute path of the changed file or folder
+ * @returns {string|null} - The view folder name, or null when no view is affected
+ */
+function getAffectedView(dataDir, eventName, filePath) {
+	const relativePath = path.relative(dataDir, filePath);
+	if (!relativePath || relativePath.startsWith("..")) return null;
+
+	const [viewName, ...rest] = relativePath.split(path.sep);
+	if (viewName.startsWith(".")) return null;
+
+	// Loose files next to the view folders (e.g. .DS_Store) don't belong to a view
+	const isDirectoryEvent = eventName === "addDir" || eventName === "unlinkDir";
+	if (rest.length === 0 && !isDirectoryEvent) return null;
+
+	return viewName;
+}
+
+/**
+ * Handle a status document POSTed to the dev server
+ * Responds 204 once the document is saved and pushed, 400 when the body is
+ * not a status document or can't be read, 413 when it is larger than
+ * MAX_STATUS_BYTES, 500 when it can't be saved and 405 for other methods.
+ * @param {import('node:http').IncomingMessage} request - The request
+ * @param {import('node:http').ServerResponse} response - The response
+ * @param {Object} target - Where the document goes
+ * @param {string} target.file - Absolute path of the status file
+ * @param {Function} target.push - Sends the document to open pages
+ */
+function receiveStatus(request, response, { file, push }) {
+	if (request.method !== "POST") {
+		response.statusCode = 405;
+		response.setHeader("Allow", "POST");
+		response.end();
+		return;
+	}
+
+	const chunks = [];
+	let received = 0;
+	let answered = false;
+
+	/**
+	 * Answer before the body is complete and stop reading it
+	 * @param {number} statusCode - The response status
+	 * @param {string} message - The response body
+	 */
+	const abort = (statusCode, message) => {
+		answered = true;
+		response.statusCode = statusCode;
+		response.setHeader("Connection", "close");
+		response.end(`${message}\n`, () => request.destroy());
+	};
+
+	const tooLarge = `Status documents are limited to ${MAX_STATUS_BYTES} bytes`;
+	if (Number(request.headers["content-length"]) > MAX_STATUS_BYTES) {
+		abort(413, tooLarge);
+		return;
+	}
+
+	request.on("data", (chunk) => {
+		if (answered) return;
+		received += chunk.length;
+		if (received > MAX_STATUS_BYTES) {
+			abort(413, tooLarge);
+			return;
+		}
+		chunks.push(chunk);
+	});
+	request.on("error", (error) => {
+		if (answered) return;
+		console.error("Failed to read the status document:", error);
+		abort(400, `Failed to read the request: ${error.message}`);
+	});
+	request.on("end", () => {
+		if (answered) return;
+
+		let statusDocument;
+		try {
+			statusDocument = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+		} catch (error) {
+			response.statusCode = 400;
+			response.end(`Invalid JSON: ${error.message}\n`);
+			return;
+		}
+
+		// The same check as the app's, so a saved document is never ignored there
+		if (!isStatusDocument(statusDocument)) {
+			response.statusCode = 400;
+			response.end(
+				'Expected { "statuses": { "<node id>": { "status": ... } } }\n',
+			);
+			return;
+		}
+
+		try {
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.writeFileSync(file, `${JSON.stringify(statusDocument, null, 2)}\n`);
+		} catch (error) {
+			console.error("Failed to save the status document:", error);
+			response.statusCode = 500;
+			response.end();
+			return;
+		}
+
+		push(statusDocument);
+		response.statusCode = 204;
+		response.end();
+	});
+}
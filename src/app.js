@@ -1,17 +1,66 @@
 import * as d3 from "d3";
 import { marked } from "marked";
-import { buildFromView } from "./utils/DataModelBuilder.js";
-import { FloatingTooltip, getNodeStack } from "./utils/floating-tooltip.js";
+import { DEFAULT_LAYOUT, LAYOUTS } from "./layouts/index.js";
+import { createColorEncoding, parseColorMode } from "./utils/color-modes.js";
+import { getContactHref } from "./utils/contact.js";
+import {
+	buildFromView,
+	loadViewDocs,
+	loadViews,
+	updateViewCache,
+} from "./utils/DataModelBuilder.js";
+import {
+	CHANGE_COLORS,
+	describeChange,
+	describeFieldChanges,
+	indexChanges,
+	loadDiffReport,
+} from "./utils/diff-report.js";
+import {
+	buildEscalationChain,
+	formatEscalationSummary,
+} from "./utils/escalation.js";
+import {
+	escapeHtml,
+	FloatingTooltip,
+	getNodeStack,
+} from "./utils/floating-tooltip.js";
+import { searchEntries } from "./utils/fuzzy-search.js";
+import {
+	collectMetrics,
+	formatMetricValue,
+	getMetricValues,
+	UNIFORM_METRIC,
+} from "./utils/metrics.js";
+import { resolveDocLink } from "./utils/node-docs.js";
+import { findNode, findReferencingNodes } from "./utils/node-references.js";
+import { findRotation, formatHandoff, resolveOncall } from "./utils/oncall.js";
+import {
+	formatUpdated,
+	getPollInterval,
+	indexStatuses,
+	loadStatusDocument,
+	rollUpStatuses,
+	STATUS_LEVELS,
+} from "./utils/status-feed.js";
+import {
+	downloadBlob,
+	rasterizeSvg,
+	serializeSvg,
+} from "./utils/svg-export.js";
+import {
+	collectTagFacets,
+	getNodeTags,
+	matchesTagFilters,
+} from "./utils/tags.js";
+import { readUrlState, writeUrlState } from "./utils/url-state.js";
 
 /**
  * @class App
  * @description Main application class for organization visualization
  */
 export default class App {
-	static VIEW_FOLDER_MAPPING = {
-		"view-1": "Product-Feature-View",
-		"view-2": "Domain-Team-View",
-	};
+	static UNOWNED_COLOR = "#e53935";
 
 	/**
 	 * @constructor
@@ -20,9 +69,30 @@ export default class App {
 		this.state = {
 			focus: null,
 			nodes: [],
-			view: null,
+			layout: DEFAULT_LAYOUT,
 			isZooming: false,
-			currentView: "view-1",
+			currentView: null,
+			views: [],
+			searchIndex: [],
+			searchResults: [],
+			selectedNodeId: null,
+			activeResult: -1,
+			urlSyncPaused: false,
+			highlightUnowned: false,
+			diffReport: null,
+			diffChanges: new Map(),
+			showDiff: false,
+			tagFilters: new Map(),
+			sizeMetric: UNIFORM_METRIC,
+			sizeMetrics: [],
+			colorMode: "depth",
+			colorModes: [],
+			colorEncoding: null,
+			colorHighlight: null,
+			statusDocument: null,
+			statuses: new Map(),
+			nodeStatuses: new Map(),
+			resizeHandlerAttached: false,
 		};
 
 		this.dimensions = {
@@ -35,13 +105,13 @@ export default class App {
 		this.d3Elements = {
 			svg: null,
 			g: null,
-			circle: null,
-			text: null,
-			node: null,
-			pack: null,
+			shape: null,
 			color: null,
 			tooltip: null,
 		};
+
+		// The active layout draws the hierarchy (see src/layouts/index.js)
+		this.layout = new LAYOUTS[DEFAULT_LAYOUT].Layout(this);
 	}
 
 	/**
@@ -61,12 +131,9 @@ export default class App {
 	 * Setup SVG container and main group element
 	 */
 	setupSVG() {
-		const { diameter } = this.dimensions;
-
 		this.d3Elements.svg = d3.select(".viz-content");
-		this.d3Elements.g = this.d3Elements.svg
-			.append("g")
-			.attr("transform", `translate(${diameter / 2}, ${diameter / 2})`);
+		// Each layout positions this group to suit its own coordinates
+		this.d3Elements.g = this.d3Elements.svg.append("g");
 
 		// Initialize tooltip attached to the SVG container
 		const vizCanvas = document.querySelector(".viz-canvas");
@@ -74,18 +141,11 @@ export default class App {
 	}
 
 	/**
-	 * Setup D3 scales for color and packing
+	 * Setup D3 color scale
 	 */
 	setupD3Scales() {
-		const { diameter, margin } = this.dimensions;
-
 		// Default gradient
 		this.updateColorGradient();
-
-		this.d3Elements.pack = d3
-			.pack()
-			.size([diameter - margin, diameter - margin])
-			.padding(2);
 	}
 
 	/**
@@ -109,17 +169,18 @@ export default class App {
 
 	/**
 	 * Load and render a specific view
-	 * @param {string} viewType - The view type to load
+	 * @param {string} viewType - The view type to load (its folder name)
 	 */
 	async loadView(viewType) {
-		this.state.currentView = viewType;
-		const folderName = App.VIEW_FOLDER_MAPPING[viewType];
-
-		if (!folderName) {
+		if (!this.getViewEntry(viewType)) {
 			console.error(`Unknown view type: ${viewType}`);
 			return;
 		}
 
+		this.state.currentView = viewType;
+		this.setActiveTab(viewType);
+		this.hideNodeDetails();
+
 		// Clear existing visualization
 		this.d3Elements.g.selectAll("*").remove();
 
@@ -130,47 +191,440 @@ export default class App {
 
 		try {
 			// Dynamically build data from folder structure
-			const data = await buildFromView(folderName);
+			const data = await buildFromView(viewType);
 
 			// Render the visualization
 			this.renderVisualization(data);
+			this.syncUrl();
 		} catch (error) {
 			console.error(`Failed to load view ${viewType}:`, error);
 		}
 	}
 
+	/**
+	 * Swap in a regenerated view pushed by the dev server
+	 * Keeps the current view, focused node and open detail panel when they
+	 * still exist; otherwise falls back to the closest surviving ancestor.
+	 * @param {Object} update - The update payload
+	 * @param {string} update.view - The regenerated view folder name
+	 * @param {Object|null} update.data - The new view root, null when the view was removed
+	 * @param {Object|null} update.docs - The view's node documentation
+	 * @param {Array<Object>} update.views - The new views manifest
+	 * @returns {Promise<void>}
+	 */
+	async applyDataUpdate({ view, data, docs, views }) {
+		updateViewCache(view, data, docs);
+		this.state.views = views;
+		this.renderTabs();
+		await this.buildSearchIndex();
+
+		if (view !== this.state.currentView) return;
+
+		// The current view was deleted: fall back to the default one
+		if (!data) {
+			await this.loadView(this.getDefaultView());
+			return;
+		}
+
+		const focusId = this.state.focus?.data.id;
+		const selectedId = this.state.selectedNodeId;
+
+		this.d3Elements.g.selectAll("*").remove();
+		this.renderVisualization(data);
+
+		// Restoring the previous position is not a new navigation step
+		await this.withoutUrlSync(() => {
+			const focus = this.findClosestNode(focusId);
+			if (focus && focus !== this.state.focus) {
+				this.zoom(null, focus, { duration: 0 });
+			}
+
+			const selected = selectedId && this.findNodeById(selectedId);
+			if (selected) {
+				this.showNodeDetails(selected);
+			} else {
+				this.hideNodeDetails();
+			}
+		});
+
+		// The focus may have moved up if its folder was removed
+		this.syncUrl(true);
+	}
+
+	/**
+	 * Find a node by ID, or its closest ancestor that still exists
+	 * @param {string} id - The node ID
+	 * @returns {Object|undefined} - The matching hierarchy node
+	 */
+	findClosestNode(id) {
+		const segments = id ? id.split("/") : [];
+
+		while (segments.length > 0) {
+			const node = this.findNodeById(segments.join("/"));
+			if (node) return node;
+			segments.pop();
+		}
+
+		return this.state.nodes[0];
+	}
+
 	/**
 	 * Render the visualization with given data
 	 * @param {Object} root - The root data object
 	 */
 	renderVisualization(root) {
 		this.prepareHierarchy(root);
-		this.renderCircles();
+		this.renderLayout();
 		this.renderTreeView();
+		this.updateUnownedCount();
+		this.renderDiffList();
+		this.renderTagFilters();
+		this.renderSizeSelect();
+		this.renderSizeLegend();
+		this.renderColorSelect();
+		this.renderColorLegend();
+		this.renderStatusSummary();
+		this.revealTreeNode(this.state.focus);
 		this.setupBackgroundZoom();
 		this.setupResizeHandler();
-
-		// Initial zoom to root (zoomed out for better overview)
-		const { margin } = this.dimensions;
-		this.zoomTo([
-			this.state.focus.x,
-			this.state.focus.y,
-			(this.state.focus.r * 2 + margin) * 1.3, // Zoom out by 30%
-		]);
 	}
 
 	/**
-	 * Prepare hierarchy data and pack it
+	 * Prepare hierarchy data for the layouts
 	 * @param {Object} root - The root data object
 	 */
 	prepareHierarchy(root) {
+		// Views without the chosen metric fall back to uniform sizing
+		this.state.sizeMetrics = collectMetrics(root);
+		if (!this.getSizeMetric()) this.state.sizeMetric = UNIFORM_METRIC;
+
 		const hierarchyRoot = d3
 			.hierarchy(root)
-			.sum((d) => d.size)
+			.sum(this.getSizeAccessor(root))
 			.sort((a, b) => b.value - a.value);
 
 		this.state.focus = hierarchyRoot;
-		this.state.nodes = this.d3Elements.pack(hierarchyRoot).descendants();
+		this.state.nodes = hierarchyRoot.descendants();
+		this.state.nodeStatuses = rollUpStatuses(
+			hierarchyRoot,
+			this.state.statuses,
+		);
+		this.updateColorEncoding();
+	}
+
+	/**
+	 * List the colour modes the current view supports
+	 * @returns {Array<{value: string, label: string}>} - Picker options
+	 */
+	getColorModes() {
+		const tagKeys = collectTagFacets(this.state.nodes).map(({ key }) => key);
+
+		return [
+			{ value: "depth", label: "Depth" },
+			{ value: "owner", label: "Owner" },
+			...tagKeys.map((key) => ({ value: `tag:${key}`, label: `Tag: ${key}` })),
+			...this.state.sizeMetrics.map(({ key, label }) => ({
+				value: `metric:${key}`,
+				label: `Metric: ${label}`,
+			})),
+		];
+	}
+
+	/**
+	 * Build the encoding of the active colour mode for the current view
+	 * Views without the chosen tag or metric fall back to depth.
+	 */
+	updateColorEncoding() {
+		this.state.colorModes = this.getColorModes();
+		if (
+			!this.state.colorModes.some(({ value }) => value === this.state.colorMode)
+		) {
+			this.state.colorMode = "depth";
+		}
+
+		const colorMode = parseColorMode(this.state.colorMode);
+		this.state.colorHighlight = null;
+		this.state.colorEncoding =
+			colorMode.mode === "depth"
+				? null
+				: createColorEncoding(colorMode, this.state.nodes);
+	}
+
+	/**
+	 * Colour nodes by another mode
+	 * @param {string} value - A colour mode from getColorModes
+	 */
+	setColorMode(value) {
+		this.state.colorMode = value;
+		this.updateColorEncoding();
+		this.refreshNodeStyles();
+		this.renderColorLegend();
+	}
+
+	/**
+	 * Fill the colour picker with the current view's modes
+	 */
+	renderColorSelect() {
+		const select = d3.select("#colorSelect");
+		if (select.empty()) return;
+
+		select
+			.selectAll("option")
+			.data(this.state.colorModes)
+			.join("option")
+			.attr("value", ({ value }) => value)
+			.text(({ label }) => label);
+		select.property("value", this.state.colorMode);
+	}
+
+	/**
+	 * Setup the colour picker
+	 */
+	setupColorSelect() {
+		d3.select("#colorSelect").on("change", (event) => {
+			this.setColorMode(event.target.value);
+		});
+	}
+
+	/**
+	 * Get the legend of the active colour mode
+	 * @returns {Object} - `{ title, entries, note }`; entries are
+	 * `{ id, label, color, count }`
+	 */
+	getColorLegend() {
+		if (this.state.colorEncoding) return this.state.colorEncoding;
+
+		const counts = d3.rollup(
+			this.state.nodes,
+			(group) => group.length,
+			(node) => node.depth,
+		);
+		return {
+			title: "Depth",
+			entries: [...counts].map(([depth, count]) => ({
+				id: String(depth),
+				label: depth === 0 ? "Root" : `Level ${depth}`,
+				color: this.d3Elements.color(depth),
+				count,
+			})),
+			note: this.state.nodes.some((node) => node.data.nodeColor)
+				? "Nodes with a nodeColor keep it."
+				: null,
+		};
+	}
+
+	/**
+	 * Check whether a node belongs to the highlighted legend entry
+	 * @param {Object} node - The hierarchy node
+	 * @returns {boolean} - True when nothing is highlighted or the node matches
+	 */
+	isNodeColorMatch(node) {
+		const { colorHighlight, colorEncoding } = this.state;
+		if (colorHighlight === null) return true;
+
+		return colorEncoding
+			? colorEncoding.matches(node, colorHighlight)
+			: String(node.depth) === colorHighlight;
+	}
+
+	/**
+	 * Highlight the nodes of a legend entry, or clear it when it is active
+	 * @param {string} id - The legend entry ID
+	 */
+	setColorHighlight(id) {
+		this.state.colorHighlight = this.state.colorHighlight === id ? null : id;
+		this.refreshNodeStyles();
+		this.renderColorLegend();
+	}
+
+	/**
+	 * List the active colour mode's colours; clicking one highlights its nodes
+	 */
+	renderColorLegend() {
+		const legend = d3.select("#colorLegend");
+		if (legend.empty()) return;
+
+		const { title, entries, note } = this.getColorLegend();
+		const { colorHighlight } = this.state;
+
+		legend.html("");
+		legend
+			.append("div")
+			.attr("class", "color-legend-title")
+			.text(`Colour: ${title}`);
+
+		const items = legend
+			.append("ul")
+			.attr("class", "color-legend-list")
+			.selectAll("li")
+			.data(entries)
+			.join("li")
+			.append("button")
+			.attr("type", "button")
+			.attr("class", "color-legend-item")
+			.classed("color-legend-item--active", ({ id }) => id === colorHighlight)
+			.attr("aria-pressed", ({ id }) => id === colorHighlight)
+			.on("click", (_event, { id }) => this.setColorHighlight(id));
+
+		items
+			.append("span")
+			.attr("class", "color-legend-swatch")
+			.style("background", ({ color }) => color);
+		items
+			.append("span")
+			.attr("class", "color-legend-label")
+			.text(({ label }) => label);
+		items
+			.append("span")
+			.attr("class", "color-legend-count")
+			.text(({ count }) => count);
+
+		if (note) {
+			legend.append("p").attr("class", "color-legend-note").text(note);
+		}
+	}
+
+	/**
+	 * Get the active size metric
+	 * @returns {Object|undefined} - The metric's `{ key, label }`, or undefined
+	 * when nodes are sized uniformly
+	 */
+	getSizeMetric() {
+		const { sizeMetric, sizeMetrics } = this.state;
+		return sizeMetrics.find(({ key }) => key === sizeMetric);
+	}
+
+	/**
+	 * Get the value accessor for the active size metric
+	 * @param {Object} root - The root data object
+	 * @returns {Function} - Returns a node's own value, for d3's `sum`
+	 */
+	getSizeAccessor(root) {
+		const metric = this.getSizeMetric();
+		if (!metric) return (d) => d.size;
+
+		const values = getMetricValues(root, metric.key);
+		return (d) => values.get(d) ?? 0;
+	}
+
+	/**
+	 * Size nodes by another metric and animate the layout to the new values
+	 * @param {string} key - A metric name, or UNIFORM_METRIC
+	 */
+	setSizeMetric(key) {
+		this.state.sizeMetric = key;
+
+		const root = this.state.nodes[0];
+		if (!root) return;
+
+		root.sum(this.getSizeAccessor(root.data)).sort((a, b) => b.value - a.value);
+		this.state.nodes = root.descendants();
+
+		// The metric may leave the focus without a value, and so without a shape
+		const previousFocus = this.state.focus;
+		const focus = this.getZoomableNode(previousFocus);
+		if (focus !== previousFocus) this.setFocus(focus, { replace: true });
+
+		if (this.layout.relayout) {
+			this.layout.relayout(d3.transition().duration(750), previousFocus);
+		} else {
+			this.redrawLayout();
+		}
+		this.renderSizeLegend();
+	}
+
+	/**
+	 * Fill the size picker with the current view's metrics
+	 */
+	renderSizeSelect() {
+		const select = d3.select("#sizeSelect");
+		if (select.empty()) return;
+
+		const { sizeMetric, sizeMetrics } = this.state;
+		select
+			.property("disabled", sizeMetrics.length === 0)
+			.selectAll("option")
+			.data([{ key: UNIFORM_METRIC, label: "Uniform" }, ...sizeMetrics])
+			.join("option")
+			.attr("value", ({ key }) => key)
+			.text(({ label }) => label);
+		select.property("value", sizeMetric);
+	}
+
+	/**
+	 * Setup the size picker
+	 */
+	setupSizeSelect() {
+		d3.select("#sizeSelect").on("change", (event) => {
+			this.setSizeMetric(event.target.value);
+		});
+	}
+
+	/**
+	 * Explain how the active size metric is drawn
+	 * With the circle pack, reference circles show how values compare: by
+	 * area, so a quarter of the value gets half the radius.
+	 */
+	renderSizeLegend() {
+		const legend = d3.select("#sizeLegend");
+		if (legend.empty()) return;
+
+		const metric = this.getSizeMetric();
+		legend.attr("hidden", metric ? null : true).html("");
+		if (!metric) return;
+
+		const { label, sizeEncoding } = LAYOUTS[this.state.layout];
+		const name = metric.label.toLowerCase();
+		const leaves = this.state.nodes.filter((node) => !node.children);
+		const largest = d3.max(leaves, (node) => node.value);
+		const missing = leaves.filter((node) => !node.value).length;
+
+		legend
+			.append("div")
+			.attr("class", "size-legend-title")
+			.text(`Size: ${metric.label}`);
+
+		if (this.state.layout === "pack") {
+			const radius = d3.scaleSqrt().domain([0, largest]).range([0, 18]);
+			const svg = legend
+				.append("svg")
+				.attr("class", "size-legend-scale")
+				.attr("width", 110)
+				.attr("height", 40);
+
+			for (const value of [largest, largest / 4]) {
+				const r = radius(value);
+				svg
+					.append("circle")
+					.attr("cx", 20)
+					.attr("cy", 38 - r)
+					.attr("r", r);
+				svg
+					.append("text")
+					.attr("x", 46)
+					.attr("y", 38 - 2 * r)
+					.attr("dy", "0.35em")
+					.text(formatMetricValue(value));
+			}
+		}
+
+		legend
+			.append("p")
+			.attr("class", "size-legend-text")
+			.text(
+				sizeEncoding
+					? `${sizeEncoding} shows ${name}; branches show the total of their children.`
+					: `The ${label.toLowerCase()} doesn't show size; pick another layout to compare ${name}.`,
+			);
+
+		if (missing > 0) {
+			legend
+				.append("p")
+				.attr("class", "size-legend-text size-legend-missing")
+				.text(
+					`${missing} ${missing === 1 ? "node has" : "nodes have"} no ${name} and ${missing === 1 ? "isn't" : "aren't"} drawn.`,
+				);
+		}
 	}
 
 	/**
@@ -188,6 +642,7 @@ export default class App {
 
 		// Render tree recursively - start collapsed (only show first level)
 		this.renderTreeNode(treeContainer, root, 0, true);
+		this.refreshTreeFilter();
 	}
 
 	/**
@@ -198,8 +653,11 @@ export default class App {
 	 * @param {boolean} expanded - Whether this node should start expanded
 	 */
 	renderTreeNode(container, node, depth, expanded = false) {
-		// Create node container
-		const nodeDiv = container.append("div").attr("class", "tree-node");
+		// Create node container, bound to its hierarchy node for later lookups
+		const nodeDiv = container
+			.append("div")
+			.attr("class", "tree-node")
+			.datum(node);
 
 		// Add indentation
 		nodeDiv
@@ -216,25 +674,29 @@ export default class App {
 				.style("cursor", "pointer")
 				.on("click", (event) => {
 					event.stopPropagation();
-					const icon = d3.select(event.target);
-					const childrenContainer = d3.select(
-						event.target.parentNode.nextSibling,
-					);
-
-					if (icon.text() === "▶") {
-						icon.text("▼");
-						childrenContainer.style("display", "block");
-					} else {
-						icon.text("▶");
-						childrenContainer.style("display", "none");
-					}
+					const row = event.target.parentNode;
+					const isCollapsed = d3.select(event.target).text() === "▶";
+					this.setTreeNodeExpanded(row, isCollapsed);
 				});
 		} else {
 			nodeDiv.append("span").attr("class", "tree-icon").text("  ");
 		}
 
-		// Add node name (no click handler, no focus styling)
-		nodeDiv.append("span").attr("class", "tree-label").text(node.data.name);
+		// Add node name: clicking zooms the visualization, hovering highlights the node
+		nodeDiv
+			.append("span")
+			.attr("class", "tree-label")
+			.text(node.data.name)
+			.on("click", (event) => {
+				event.stopPropagation();
+				// Look the node up again: tree rows outlive re-layouts on resize
+				const target = this.findNodeById(node.data.id);
+				if (target) this.focusNode(target);
+			});
+
+		nodeDiv
+			.on("mouseenter", () => this.setHoveredNode(node))
+			.on("mouseleave", () => this.setHoveredNode(null));
 
 		// Render children if node has them
 		if (node.children && node.children.length > 0) {
@@ -251,48 +713,103 @@ export default class App {
 	}
 
 	/**
-	 * Render node groups (circles + labels)
+	 * Expand or collapse a tree row's children
+	 * @param {HTMLElement} row - The `.tree-node` element
+	 * @param {boolean} expanded - Whether the children should be shown
 	 */
-	renderCircles() {
-		const initialFocus = this.state.focus || this.state.nodes[0];
+	setTreeNodeExpanded(row, expanded) {
+		const childrenContainer = row.nextSibling;
+		if (!childrenContainer?.classList?.contains("tree-children")) return;
+
+		d3.select(row)
+			.select(".tree-icon")
+			.text(expanded ? "▼" : "▶");
+		d3.select(childrenContainer).style("display", expanded ? "block" : "none");
+	}
 
-		// Create a group for each node
-		this.d3Elements.node = this.d3Elements.g
-			.selectAll("g.node-group")
-			.data(this.state.nodes)
-			.enter()
-			.append("g")
-			.attr("class", "node-group");
+	/**
+	 * Highlight a node in both the visualization and the tree
+	 * @param {Object|null} node - The hovered node, or null to clear
+	 */
+	setHoveredNode(node) {
+		const id = node?.data.id;
 
-		// Add circles to each group
-		this.d3Elements.circle = this.d3Elements.node
-			.append("circle")
-			.attr("class", (d) => {
-				if (!d.parent) return "node node--root";
-				return d.children ? "node" : "node node--leaf";
-			})
-			.style("fill", (d) => {
-				// If node has a custom nodeColor, use it
-				if (d.data.nodeColor) {
-					return d.data.nodeColor;
-				}
-				// Otherwise, use depth-based gradient for all nodes
-				return this.d3Elements.color(d.depth);
-			})
-			.style("opacity", (d) =>
-				this.isNodeVisibleAtDepth(d, initialFocus) ? 1 : 0,
-			)
-			.style("pointer-events", (d) =>
-				this.isNodeVisibleAtDepth(d, initialFocus) ? "auto" : "none",
-			)
+		this.d3Elements.shape?.classed(
+			"node--hovered",
+			(d) => id !== undefined && d.data.id === id,
+		);
+		d3.select("#treeView")
+			.selectAll(".tree-node")
+			.classed(
+				"tree-node--hovered",
+				(d) => id !== undefined && d.data.id === id,
+			);
+	}
+
+	/**
+	 * Expand the tree down to a node, highlight its path and mark it active
+	 * @param {Object} node - The hierarchy node to reveal
+	 */
+	revealTreeNode(node) {
+		// Match rows by ID: the tree keeps its nodes across re-layouts
+		const pathIds = new Set(getNodeStack(node).map((n) => n.data.id));
+		const rows = d3.select("#treeView").selectAll(".tree-node");
+		const isTarget = (d) => d.data.id === node.data.id;
+
+		rows
+			.classed("tree-node--path", (d) => pathIds.has(d.data.id))
+			.classed("tree-node--active", isTarget);
+
+		// Expand every ancestor so the node row becomes visible
+		rows
+			.filter((d) => !isTarget(d) && pathIds.has(d.data.id))
+			.each((_d, i, elements) => {
+				this.setTreeNodeExpanded(elements[i], true);
+			});
+
+		const targetRow = rows.filter(isTarget).node();
+		if (targetRow) {
+			targetRow.scrollIntoView({ block: "nearest" });
+		}
+	}
+
+	/**
+	 * Draw the hierarchy with the active layout at the current focus
+	 */
+	renderLayout() {
+		const { g } = this.d3Elements;
+
+		g.selectAll("*").remove();
+		g.attr("class", `layout layout--${this.state.layout}`);
+
+		this.d3Elements.shape = this.layout.render(this.state.nodes[0]);
+		this.bindNodeEvents(this.d3Elements.shape);
+		this.refreshNodeStyles();
+	}
+
+	/**
+	 * Attach click, hover and tooltip behaviour to node shapes
+	 * Shared by every layout so interaction is the same whichever is active.
+	 * @param {d3.Selection} shapes - The node shapes returned by a layout
+	 */
+	bindNodeEvents(shapes) {
+		shapes
 			.on("click", (event, d) => {
-				// Don't zoom into leaf nodes
-				if (this.state.focus !== d && d.children) {
+				// Clicking the focused branch bubbles up to the background zoom-out
+				if (this.state.focus === d && d.children) return;
+				event.stopPropagation();
+
+				// Don't zoom into leaf nodes, but show their details
+				if (d.children) {
 					this.zoom(event, d);
-					event.stopPropagation();
+				} else {
+					this.highlightNode(d);
 				}
+				this.showNodeDetails(d);
 			})
-			.on("mouseover", (event, d) => {
+			.on("mouseover", (_event, d) => {
+				this.setHoveredNode(d);
+
 				// Build breadcrumb path from root to current node
 				const nodeStack = getNodeStack(d);
 				const breadcrumb = nodeStack.map((node) => node.data.name).join(" → ");
@@ -305,247 +822,1610 @@ export default class App {
 				}
 
 				if (d.data.owner && d.data.owner !== "Unknown") {
-					tooltipContent += `<div style="margin-top: 5px;"><em>Owner: ${d.data.owner}</em></div>`;
+					tooltipContent += `<div style="margin-top: 5px;"><em>Owner: ${d.data.owner}${this.formatInheritedFrom(d, "owner")}</em></div>`;
+				}
+
+				const metric = this.getSizeMetric();
+				if (metric) {
+					tooltipContent += `<div style="margin-top: 5px;"><em>${metric.label}: ${formatMetricValue(d.value)}</em></div>`;
+				}
+
+				const status = this.state.nodeStatuses.get(d.data.id);
+				if (status) {
+					const from = status.source
+						? ` in ${escapeHtml(status.source.name)}`
+						: "";
+					tooltipContent += `<div style="margin-top: 5px;"><em>Status: ${STATUS_LEVELS[status.status].label}${from}</em></div>`;
+				}
+
+				const oncall = this.getOncall(d);
+				if (oncall?.current) {
+					const from =
+						oncall.source.id === d.data.id
+							? ""
+							: ` (rotation of ${escapeHtml(oncall.source.name)})`;
+					tooltipContent += `<div style="margin-top: 5px;"><em>On call: ${escapeHtml(oncall.current.name)}${from}</em></div>`;
 				}
 
 				this.d3Elements.tooltip.content(tooltipContent);
 			})
 			.on("mouseout", () => {
+				this.setHoveredNode(null);
 				this.d3Elements.tooltip.content(false);
 			});
-
-		// Add labels to each group
-		this.d3Elements.text = this.d3Elements.node
-			.append("text")
-			.attr("class", (d) => {
-				if (!d.parent) return "label label--root";
-				if (d === initialFocus && d.parent) return "label label--parent";
-				return "label";
-			})
-			.attr("dy", (d) => {
-				// Position label at top for root or focused parent node
-				if (!d.parent || (d === initialFocus && d.parent)) {
-					return -d.r + 25; // 25px from top edge
-				}
-				return "0.3em"; // Default center position for children
-			})
-			.style("fill-opacity", (d) => {
-				// Show: root, focused node, or children of focused node
-				if (!d.parent || d === initialFocus || d.parent === initialFocus)
-					return 1;
-				return 0;
-			})
-			.style("display", (d) => {
-				// Show: root, focused node, or children of focused node
-				if (!d.parent || d === initialFocus || d.parent === initialFocus)
-					return "inline";
-				return "none";
-			})
-			.text((d) => d.data.name);
 	}
 
 	/**
-	 * Check if a node should be visible based on depth from focus
-	 * @param {Object} node - The node to check
-	 * @param {Object} focusNode - The currently focused node
-	 * @returns {boolean} - Whether the node should be visible
+	 * Mark a node as highlighted (e.g. a clicked leaf or a search result)
+	 * @param {Object|null} node - The node to highlight, or null to clear
 	 */
-	isNodeVisibleAtDepth(node, focusNode) {
-		// Root is always visible
-		if (!node.parent) return true;
+	highlightNode(node) {
+		const id = node?.data.id;
 
-		// Calculate depth relative to focus
-		let depthFromFocus = 0;
-		let currentNode = node;
+		this.d3Elements.shape?.classed(
+			"node--highlighted",
+			(d) => id !== undefined && d.data.id === id,
+		);
+	}
 
-		// Traverse up until we hit focus or root
-		while (currentNode && currentNode !== focusNode) {
-			currentNode = currentNode.parent;
-			depthFromFocus++;
+	/**
+	 * Switch to another layout, keeping the current view and focus
+	 * @param {string} layoutKey - Key of the layout in LAYOUTS
+	 */
+	setLayout(layoutKey) {
+		if (!LAYOUTS[layoutKey]) {
+			console.error(`Unknown layout: ${layoutKey}`);
+			return;
 		}
 
-		// If we hit the focus node, check if within 1 layer
-		if (currentNode === focusNode) {
-			return depthFromFocus <= 1;
-		}
+		this.state.layout = layoutKey;
+		this.layout = new LAYOUTS[layoutKey].Layout(this);
 
-		// If focus is a descendant of this node, it should be visible
-		currentNode = focusNode;
-		while (currentNode && currentNode !== node) {
-			currentNode = currentNode.parent;
-		}
+		if (this.state.nodes.length === 0) return;
 
-		return currentNode === node;
+		this.redrawLayout();
+		this.renderSizeLegend();
 	}
 
 	/**
-	 * Setup background click to zoom out
+	 * Redraw the active layout, keeping the highlighted node
 	 */
-	setupBackgroundZoom() {
-		const root = this.state.nodes[0];
+	redrawLayout() {
+		const highlighted = this.d3Elements.g.select(".node--highlighted");
+		const highlightedNode = highlighted.empty() ? null : highlighted.datum();
 
-		this.d3Elements.svg
-			.style("background", "#d0e8ff") // Light blue background
-			.on("click", (event) => {
-				this.zoom(event, root);
-			});
+		this.renderLayout();
+		this.highlightNode(highlightedNode);
 	}
 
 	/**
-	 * Zoom to a specific node
-	 * @param {Event} event - The triggering event
-	 * @param {Object} d - The target node
+	 * Setup the layout picker
 	 */
-	zoom(event, d) {
-		this.state.isZooming = true;
-		this.state.focus = d;
-
-		const { margin, diameter } = this.dimensions;
-		const v = [d.x, d.y, d.r * 2 + margin];
-
-		// Update color gradient based on new focus
-		this.updateColorGradient(d);
-
-		const transition = d3
-			.transition()
-			.duration(event?.altKey ? 7500 : 750)
-			.tween("zoom", () => {
-				const i = d3.interpolateZoom(this.state.view, v);
-				return (t) => this.zoomTo(i(t));
-			})
-			.on("end", () => {
-				this.state.isZooming = false;
-			});
-
-		// Update visibility and colors of circles based on depth and focus
-		transition
-			.selectAll("circle")
-			.style("opacity", (node) => (this.isNodeVisibleAtDepth(node, d) ? 1 : 0))
-			.style("pointer-events", (node) =>
-				this.isNodeVisibleAtDepth(node, d) ? "auto" : "none",
-			)
-			.style("fill", (node) => {
-				// If node has a custom nodeColor, use it
-				if (node.data.nodeColor) {
-					return node.data.nodeColor;
-				}
-				// Otherwise, use depth-based gradient for all nodes
-				return this.d3Elements.color(node.depth);
-			});
-
-		// Update label visibility and positioning for all nodes
-		transition.selectAll("text.label").each(function (node) {
-			const label = d3.select(this);
-			// Show: root, focused node, or children of focused node
-			const shouldShow = !node.parent || node === d || node.parent === d;
-			const isParent = node === d && node.parent;
-			const needsTopPosition = !node.parent || node === d;
-
-			label
-				.style("fill-opacity", shouldShow ? 1 : 0)
-				.style("display", shouldShow ? "inline" : "none")
-				.classed("label--parent", isParent)
-				.attr("dy", () => {
-					// Position label at top for root or focused node
-					if (needsTopPosition) {
-						const k = diameter / v[2];
-						return -node.r * k + 25; // 25px from top edge
-					}
-					return "0.3em"; // Default center position for children
-				});
+	setupLayoutSelect() {
+		const select = d3.select("#layoutSelect");
+		if (select.empty()) return;
+
+		select
+			.selectAll("option")
+			.data(Object.entries(LAYOUTS))
+			.join("option")
+			.attr("value", ([key]) => key)
+			.text(([, { label }]) => label);
+
+		select.property("value", this.state.layout).on("change", (event) => {
+			this.setLayout(event.target.value);
 		});
 	}
 
 	/**
-	 * Apply zoom transformation
-	 * @param {Array} v - The view parameters [x, y, radius]
+	 * Draw the export root (see getExportRoot) into a temporary off-screen SVG
+	 * with the active layout
+	 * @param {Object} options - Drawing options
+	 * @param {boolean} options.fullHierarchy - Draw the whole hierarchy, unzoomed
+	 * and fully labelled, instead of the current view
+	 * @returns {SVGSVGElement} - The temporary SVG; remove it when done
 	 */
-	zoomTo(v) {
-		const { diameter } = this.dimensions;
-		const k = diameter / v[2];
-		this.state.view = v;
+	renderExportStage({ fullHierarchy = false } = {}) {
+		const root = this.getExportRoot();
+		const focus = fullHierarchy ? root : this.getExportFocus(root);
+		const svg = d3
+			.select(".viz-canvas")
+			.append("svg")
+			.attr("class", "viz-export-stage");
+
+		// A stand-in for the app that shares its data and modes but draws into
+		// the temporary SVG
+		const exporter = Object.create(this);
+		exporter.state = { ...this.state, focus };
+		exporter.d3Elements = {
+			...this.d3Elements,
+			g: svg.append("g").attr("class", `layout layout--${this.state.layout}`),
+		};
+		exporter.updateColorGradient(root);
 
-		// Transform node groups (circles and labels move together)
-		this.d3Elements.node.attr("transform", (d) => {
-			return `translate(${(d.x - v[0]) * k}, ${(d.y - v[1]) * k})`;
+		const layout = new LAYOUTS[this.state.layout].Layout(exporter, {
+			showAll: fullHierarchy,
 		});
+		exporter.d3Elements.shape = layout.render(root);
+		exporter.refreshNodeStyles();
 
-		// Update circle radii
-		this.d3Elements.circle.attr("r", (d) => d.r * k);
+		return svg.node();
 	}
 
 	/**
-	 * Setup window resize handler
+	 * Download the visualization as an SVG or PNG file
+	 * @param {Object} options - Export options
+	 * @param {string} options.format - "svg" or "png"
+	 * @param {number} options.scale - PNG pixel density multiplier
+	 * @param {boolean} options.fullHierarchy - Export the whole hierarchy with every label instead of the current view
+	 * @returns {Promise<void>}
 	 */
-	setupResizeHandler() {
-		const vizCanvas = document.querySelector(".viz-canvas");
+	async exportVisualization({
+		format = "svg",
+		scale = 2,
+		fullHierarchy = false,
+	} = {}) {
+		const liveSvg = this.d3Elements.svg.node();
+		const background = window.getComputedStyle(liveSvg).backgroundColor;
+
+		// The live drawing only dims what the tag filters leave out
+		const isStaged = fullHierarchy || this.state.tagFilters.size > 0;
+		const svg = isStaged ? this.renderExportStage({ fullHierarchy }) : liveSvg;
 
-		window.addEventListener("resize", () => {
-			const newWidth = vizCanvas.clientWidth;
-			const newHeight = vizCanvas.clientHeight;
-			const newDiameter = Math.min(newWidth, newHeight);
-
-			this.dimensions.diameter = newDiameter;
-			this.d3Elements.pack.size([
-				newDiameter - this.dimensions.margin,
-				newDiameter - this.dimensions.margin,
-			]);
-
-			// Recalculate layout
-			const currentFocusData = this.state.focus.data;
-			const newRoot = d3
-				.hierarchy(this.state.nodes[0].data)
-				.sum((d) => d.size)
-				.sort((a, b) => b.value - a.value);
-
-			this.state.nodes = this.d3Elements.pack(newRoot).descendants();
-
-			// Update node group data and rebind circles/text
-			this.d3Elements.node.data(this.state.nodes);
-			this.d3Elements.circle.data(this.state.nodes);
-			this.d3Elements.text.data(this.state.nodes);
-
-			// Update transform
-			this.d3Elements.g.attr(
-				"transform",
-				`translate(${newDiameter / 2}, ${newDiameter / 2})`,
-			);
+		try {
+			let { width, height } = this.dimensions;
+			let viewBox;
+
+			// The full drawing can outgrow the canvas (e.g. a fully expanded tree)
+			if (fullHierarchy) {
+				const box = svg.getBBox();
+				const { margin } = this.dimensions;
+				width = Math.ceil(box.width + margin * 2);
+				height = Math.ceil(box.height + margin * 2);
+				viewBox = `${box.x - margin} ${box.y - margin} ${width} ${height}`;
+			}
 
-			// Re-zoom to current focus
-			if (this.state.focus) {
-				const focusNode = this.state.nodes.find(
-					(n) => n.data.name === currentFocusData.name,
-				);
-				if (focusNode) {
-					this.state.focus = focusNode;
-					this.zoomTo([
-						focusNode.x,
-						focusNode.y,
-						focusNode.r * 2 + this.dimensions.margin,
-					]);
-				}
+			const svgText = serializeSvg(svg, { width, height, viewBox, background });
+
+			// Name the file after the view and what it shows
+			const { focus, currentView } = this.state;
+			const nameParts = [currentView];
+			if (fullHierarchy) {
+				nameParts.push("full");
+			} else if (focus.parent) {
+				nameParts.push(focus.data.id.split("/").pop());
 			}
-		});
+			const filename = `${nameParts.join("-")}.${format}`;
+
+			if (format === "png") {
+				const png = await rasterizeSvg(svgText, { width, height, scale });
+				downloadBlob(png, filename);
+			} else {
+				downloadBlob(new Blob([svgText], { type: "image/svg+xml" }), filename);
+			}
+		} finally {
+			if (isStaged) svg.remove();
+		}
 	}
 
 	/**
-	 * Setup tab switching event handlers
+	 * Setup the export controls in the toolbar
 	 */
-	setupTabHandlers() {
-		document.querySelectorAll(".tab").forEach((tab) => {
-			tab.addEventListener("click", async (event) => {
-				// Update active tab
-				document.querySelectorAll(".tab").forEach((t) => {
-					t.classList.remove("active");
-				});
-				event.currentTarget.classList.add("active");
+	setupExportControls() {
+		const button = document.getElementById("exportButton");
+		if (!button) return;
 
-				// Load the selected view
-				const viewType = event.currentTarget.getAttribute("data-view");
-				await this.loadView(viewType);
-			});
+		const format = document.getElementById("exportFormat");
+		const scale = document.getElementById("exportScale");
+		const fullHierarchy = document.getElementById("exportFull");
+
+		// The scale only applies to PNG
+		format.addEventListener("change", () => {
+			scale.disabled = format.value !== "png";
 		});
-	}
+
+		button.addEventListener("click", async () => {
+			button.disabled = true;
+			try {
+				await this.exportVisualization({
+					format: format.value,
+					scale: Number(scale.value),
+					fullHierarchy: fullHierarchy.checked,
+				});
+			} catch (error) {
+				console.error("Failed to export the visualization:", error);
+			} finally {
+				button.disabled = false;
+			}
+		});
+	}
+
+	/**
+	 * Show the detail panel for a node in place of the tree
+	 * @param {Object} node - The hierarchy node to describe
+	 */
+	showNodeDetails(node) {
+		const panel = d3.select("#nodeDetails");
+		if (panel.empty()) return;
+
+		this.state.selectedNodeId = node.data.id;
+		panel.html("").attr("hidden", null);
+		d3.select(".tree-view-section").attr("hidden", "");
+
+		panel
+			.append("button")
+			.attr("type", "button")
+			.attr("class", "node-details-close")
+			.text("← Back to hierarchy")
+			.on("click", () => this.hideNodeDetails());
+
+		panel.append("h3").text(node.data.name);
+
+		// Full path, with each ancestor linking to its own details
+		const breadcrumb = panel.append("div").attr("class", "node-details-path");
+		getNodeStack(node).forEach((pathNode, index) => {
+			if (index > 0) breadcrumb.append("span").text(" → ");
+			if (pathNode === node) {
+				breadcrumb.append("span").text(pathNode.data.name);
+				return;
+			}
+			breadcrumb
+				.append("a")
+				.attr("href", "#")
+				.text(pathNode.data.name)
+				.on("click", (event) => {
+					event.preventDefault();
+					this.focusNode(pathNode);
+					this.showNodeDetails(pathNode);
+				});
+		});
+
+		if (node.data.description) {
+			panel
+				.append("p")
+				.attr("class", "node-details-description")
+				.text(node.data.description);
+		}
+
+		const meta = panel.append("dl").attr("class", "node-details-meta");
+		const addRow = (label) => {
+			meta.append("dt").text(label);
+			return meta.append("dd");
+		};
+
+		const ownerCell = addRow("Owner").text(node.data.owner || "Not set");
+		this.appendInheritedFrom(ownerCell, node, "owner");
+		if (node.data.codeowners) {
+			const rules = node.data.codeowners.map(
+				({ file, line, pattern }) => `${pattern} in ${file}:${line}`,
+			);
+			ownerCell
+				.append("span")
+				.attr("class", "node-details-inherited")
+				.text(` (from CODEOWNERS: ${rules.join(", ")})`);
+		}
+
+		const contactCell = addRow("Contact");
+		if (node.data.contact) {
+			this.appendContact(contactCell, node.data.contact);
+		} else {
+			contactCell.text("Not set");
+		}
+		this.appendInheritedFrom(contactCell, node, "contact");
+
+		const status = this.state.nodeStatuses.get(node.data.id);
+		if (status) {
+			this.renderStatus(addRow("Status"), status);
+		}
+
+		const oncall = this.getOncall(node);
+		if (oncall) {
+			this.renderOncall(addRow("On call"), node, oncall);
+		}
+
+		// Filled once the referenced views are loaded
+		const ownedByCell = node.data.ownedBy ? addRow("Owned by") : null;
+		const ownsLabel = meta.append("dt").text("Owns").attr("hidden", "");
+		const ownsCell = meta.append("dd").attr("hidden", "");
+		this.renderNodeReferences(node, ownedByCell, [ownsLabel, ownsCell]).catch(
+			(error) => {
+				console.error(
+					`Failed to link the nodes related to ${node.data.id}:`,
+					error,
+				);
+			},
+		);
+
+		const change = this.getNodeChange(node);
+		if (this.state.showDiff && change) {
+			const changeCell = addRow("Change");
+			changeCell
+				.append("div")
+				.attr("class", "diff-badge")
+				.text(describeChange(change));
+			for (const line of describeFieldChanges(change)) {
+				changeCell.append("div").attr("class", "diff-field").text(line);
+			}
+		}
+
+		if (node.data.codePaths) {
+			const codeCell = addRow("Code");
+			for (const codePath of node.data.codePaths) {
+				codeCell.append("div").append("code").text(codePath);
+			}
+		}
+
+		addRow("Children").text(node.children?.length ?? 0);
+		addRow("Leaf nodes").text(node.children ? node.leaves().length : 0);
+
+		this.renderEscalation(panel, node);
+
+		if (node.data.hasDocs) {
+			this.renderNodeDocs(panel, node);
+		}
+
+		this.revealTreeNode(node);
+	}
+
+	/**
+	 * Resolve who is on call for a node, from its own or an ancestor's rotation
+	 * @param {Object} node - The hierarchy node
+	 * @returns {Object|null} - `{ rotation, source, current, next }` (see
+	 * resolveOncall), or null when no rotation covers the node
+	 */
+	getOncall(node) {
+		const found = findRotation(node);
+		return found ? { ...found, ...resolveOncall(found.rotation) } : null;
+	}
+
+	/**
+	 * Fill the detail panel's on-call cell: the current and next person
+	 * @param {Object} cell - D3 selection of the cell
+	 * @param {Object} node - The hierarchy node
+	 * @param {Object} oncall - Result of getOncall
+	 */
+	renderOncall(cell, node, { rotation, source, current, next }) {
+		const currentLine = cell.append("div");
+		if (current) {
+			currentLine.append("strong").text(current.name);
+			if (current.contact) {
+				currentLine.append("span").text(" · ");
+				this.appendContact(currentLine, current.contact);
+			}
+			if (current.until) {
+				currentLine
+					.append("span")
+					.attr("class", "node-details-inherited")
+					.text(` until ${formatHandoff(current.until, rotation)}`);
+			}
+		} else {
+			currentLine.text("Nobody yet");
+		}
+
+		if (next) {
+			const nextLine = cell
+				.append("div")
+				.attr("class", "node-details-inherited");
+			nextLine.append("span").text(`Next: ${next.name}`);
+			if (next.contact) {
+				nextLine.append("span").text(" · ");
+				this.appendContact(nextLine, next.contact);
+			}
+			nextLine
+				.append("span")
+				.text(` from ${formatHandoff(next.from, rotation)}`);
+		}
+
+		// A rotation set higher up covers this node too
+		if (source.id !== node.data.id) {
+			const note = cell.append("div").attr("class", "node-details-inherited");
+			note.append("span").text("Rotation of ");
+			note
+				.append("a")
+				.attr("href", "#")
+				.text(source.name)
+				.on("click", async (event) => {
+					event.preventDefault();
+					await this.navigateToId(source.id);
+				});
+		}
+	}
+
+	/**
+	 * Append a contact, as a link when it is an email address, URL or channel
+	 * @param {Object} container - D3 selection to append to
+	 * @param {string} contact - The contact value
+	 */
+	appendContact(container, contact) {
+		const href = getContactHref(contact, {
+			channelUrlTemplate: import.meta.env.VITE_CHAT_CHANNEL_URL,
+		});
+		if (!href) {
+			container.append("span").text(contact);
+			return;
+		}
+
+		container
+			.append("a")
+			.attr("href", href)
+			.attr("target", href.startsWith("mailto:") ? null : "_blank")
+			.attr("rel", "noopener")
+			.text(contact);
+	}
+
+	/**
+	 * Render who to page, in order, when the node's owner doesn't answer
+	 * @param {Object} panel - D3 selection of the detail panel
+	 * @param {Object} node - The hierarchy node
+	 */
+	renderEscalation(panel, node) {
+		const chain = buildEscalationChain(node);
+		const section = panel.append("section").attr("class", "node-escalation");
+
+		const header = section
+			.append("div")
+			.attr("class", "node-escalation-header");
+		header.append("h4").text("Escalation");
+		const copyButton = header
+			.append("button")
+			.attr("type", "button")
+			.attr("class", "node-escalation-copy")
+			.text("Copy summary")
+			.on("click", async () => {
+				const summary = formatEscalationSummary(node, chain);
+				try {
+					await navigator.clipboard.writeText(summary);
+					copyButton.text("Copied");
+				} catch (error) {
+					console.error("Failed to copy the escalation summary:", error);
+					copyButton.text("Copy failed");
+				}
+				setTimeout(() => copyButton.text("Copy summary"), 2000);
+			});
+
+		if (chain.length === 0) {
+			section
+				.append("p")
+				.attr("class", "node-escalation-empty")
+				.text("No owner or contact is set on this node or its ancestors.");
+			return;
+		}
+
+		const list = section.append("ol").attr("class", "node-escalation-list");
+		for (const { owner, contact, note, level } of chain) {
+			const item = list.append("li");
+			if (owner) item.append("strong").text(owner);
+			if (owner && contact) item.append("span").text(" · ");
+			if (contact) this.appendContact(item, contact);
+
+			const details = item
+				.append("div")
+				.attr("class", "node-details-inherited");
+			if (level.id === node.data.id) {
+				details.append("span").text(level.name);
+			} else {
+				details
+					.append("a")
+					.attr("href", "#")
+					.text(level.name)
+					.on("click", async (event) => {
+						event.preventDefault();
+						await this.navigateToId(level.id);
+					});
+			}
+			if (note) details.append("span").text(` · ${note}`);
+		}
+	}
+
+	/**
+	 * Describe where an inherited field value came from
+	 * @param {Object} node - The hierarchy node
+	 * @param {string} field - The inherited field, e.g. "owner"
+	 * @returns {string} - " (inherited from X)", or an empty string for own values
+	 */
+	formatInheritedFrom(node, field) {
+		const source = node.data.inherited?.[field];
+		return source ? ` (inherited from ${source.name})` : "";
+	}
+
+	/**
+	 * Append an "inherited from" link to a detail panel cell
+	 * @param {Object} cell - D3 selection of the cell
+	 * @param {Object} node - The hierarchy node
+	 * @param {string} field - The inherited field, e.g. "owner"
+	 */
+	appendInheritedFrom(cell, node, field) {
+		const source = node.data.inherited?.[field];
+		if (!source) return;
+
+		const note = cell.append("span").attr("class", "node-details-inherited");
+		note.append("span").text(" (inherited from ");
+		note
+			.append("a")
+			.attr("href", "#")
+			.text(source.name)
+			.on("click", async (event) => {
+				event.preventDefault();
+				await this.navigateToId(source.id);
+			});
+		note.append("span").text(")");
+	}
+
+	/**
+	 * Fill the detail panel's links to the nodes owning a node and owned by it
+	 * @param {Object} node - The hierarchy node
+	 * @param {Object|null} ownedByCell - D3 selection of the "Owned by" cell
+	 * @param {Array<Object>} ownsRow - D3 selections of the hidden "Owns" label and cell
+	 * @returns {Promise<void>}
+	 */
+	async renderNodeReferences(node, ownedByCell, ownsRow) {
+		const roots = await Promise.all(
+			this.state.views.map(({ id }) => buildFromView(id).catch(() => null)),
+		);
+		const rootsByView = new Map(
+			this.state.views.map(({ id }, index) => [id, roots[index]]),
+		);
+
+		// Another node may have been selected while the views were loading
+		if (this.state.selectedNodeId !== node.data.id) return;
+
+		for (const id of node.data.ownedBy || []) {
+			const [viewType] = id.split("/");
+			const target = findNode(rootsByView.get(viewType), id);
+			this.appendNodeLink(ownedByCell.append("div"), id, target);
+		}
+
+		const owned = findReferencingNodes(roots, node.data.id);
+		if (owned.length === 0) return;
+
+		const [ownsLabel, ownsCell] = ownsRow;
+		ownsLabel.attr("hidden", null);
+		ownsCell.attr("hidden", null);
+		for (const data of owned) {
+			this.appendNodeLink(ownsCell.append("div"), data.id, data);
+		}
+	}
+
+	/**
+	 * Append a link navigating to a node, possibly in another view
+	 * @param {Object} container - D3 selection to append to
+	 * @param {string} id - The node ID
+	 * @param {Object|null} data - The node's data, or null when it doesn't exist
+	 */
+	appendNodeLink(container, id, data) {
+		if (!data) {
+			container
+				.append("span")
+				.attr("class", "node-details-link--broken")
+				.attr("title", `No node found at ${id}`)
+				.text(id);
+			return;
+		}
+
+		container
+			.append("a")
+			.attr("href", "#")
+			.attr("title", id)
+			.text(data.name)
+			.on("click", async (event) => {
+				event.preventDefault();
+				await this.navigateToId(id);
+			});
+
+		const [viewType] = id.split("/");
+		if (viewType !== this.state.currentView) {
+			container
+				.append("span")
+				.attr("class", "node-details-inherited")
+				.text(` in ${this.getViewEntry(viewType)?.name ?? viewType}`);
+		}
+	}
+
+	/**
+	 * Render a node's markdown documentation into the detail panel
+	 * @param {Object} panel - D3 selection of the detail panel
+	 * @param {Object} node - The hierarchy node
+	 * @returns {Promise<void>}
+	 */
+	async renderNodeDocs(panel, node) {
+		const container = panel
+			.append("div")
+			.attr("class", "node-docs markdown-content")
+			.text("Loading documentation...");
+
+		let docs;
+		try {
+			docs = await loadViewDocs(this.state.currentView);
+		} catch (error) {
+			console.error(`Failed to load documentation for ${node.data.id}:`, error);
+			container
+				.classed("node-docs--error", true)
+				.text("Documentation could not be loaded.");
+			return;
+		}
+
+		// Another node may have been selected while the docs were loading
+		if (this.state.selectedNodeId !== node.data.id) return;
+
+		const markdown = docs[node.data.id];
+		if (!markdown) {
+			container.remove();
+			return;
+		}
+
+		container.html(marked.parse(markdown));
+
+		// Relative links between node docs navigate inside the app
+		container.selectAll("a[href]").each((_d, i, links) => {
+			const link = links[i];
+			const targetId = resolveDocLink(link.getAttribute("href"), node.data.id);
+			if (!targetId) return;
+
+			const exists = this.state.searchIndex.some(
+				(entry) => entry.data.id === targetId,
+			);
+			d3.select(link)
+				.classed("node-docs-link--broken", !exists)
+				.attr("title", exists ? null : `No node found at ${targetId}`)
+				.on("click", async (event) => {
+					event.preventDefault();
+					if (exists) await this.navigateToId(targetId);
+				});
+		});
+	}
+
+	/**
+	 * Navigate to any node by ID, switching views when needed
+	 * @param {string} id - The node ID (its folder path, starting with the view)
+	 * @returns {Promise<void>}
+	 */
+	async navigateToId(id) {
+		const [viewType] = id.split("/");
+		if (!this.getViewEntry(viewType)) return;
+
+		if (viewType !== this.state.currentView) {
+			// Only the final zoom should create a history entry
+			await this.withoutUrlSync(() => this.loadView(viewType));
+		}
+
+		const target = this.findNodeById(id);
+		if (!target) return;
+
+		this.focusNode(target);
+		this.showNodeDetails(target);
+	}
+
+	/**
+	 * Close the detail panel and return to the tree
+	 */
+	hideNodeDetails() {
+		this.state.selectedNodeId = null;
+		d3.select("#nodeDetails").attr("hidden", "").html("");
+		d3.select(".tree-view-section").attr("hidden", null);
+
+		// Bring the tree back to the node the user was looking at
+		if (this.state.focus) {
+			this.revealTreeNode(this.state.focus);
+		}
+	}
+
+	/**
+	 * Get the fill colour of a node's shape
+	 * @param {Object} node - The hierarchy node
+	 * @returns {string} - CSS colour
+	 */
+	getNodeFill(node) {
+		// Unowned mode paints every node without an owner red
+		if (this.state.highlightUnowned && !this.isNodeOwned(node)) {
+			return App.UNOWNED_COLOR;
+		}
+		// Diff mode paints every changed node by its change type
+		const change = this.getNodeChange(node);
+		if (this.state.showDiff && change) {
+			return CHANGE_COLORS[change.type];
+		}
+		// Colour-by modes replace custom colours so the legend stays accurate
+		if (this.state.colorEncoding) {
+			return this.state.colorEncoding.colorOf(node);
+		}
+		// If node has a custom nodeColor, use it
+		if (node.data.nodeColor) {
+			return node.data.nodeColor;
+		}
+		// Otherwise, use depth-based gradient for all nodes
+		return this.d3Elements.color(node.depth);
+	}
+
+	/**
+	 * Check whether a node's shape should be faded out
+	 * @param {Object} node - The hierarchy node
+	 * @returns {boolean} - True when the node is dimmed
+	 */
+	isNodeDimmed(node) {
+		if (!this.isNodeTagMatch(node)) return true;
+		if (!this.isNodeColorMatch(node)) return true;
+		if (this.state.showDiff && !this.getNodeChange(node)) return true;
+		return this.state.highlightUnowned && this.isNodeOwned(node);
+	}
+
+	/**
+	 * Check whether a node has an owner (own or inherited)
+	 * @param {Object} node - The hierarchy node
+	 * @returns {boolean} - True when the node has a usable owner
+	 */
+	isNodeOwned(node) {
+		return !!node.data.owner && node.data.owner !== "Unknown";
+	}
+
+	/**
+	 * Re-apply fill and dimming to every node shape after a mode change
+	 */
+	refreshNodeStyles() {
+		const shape = this.d3Elements.shape
+			?.style("fill", (d) => this.getNodeFill(d))
+			.classed("node--dimmed", (d) => this.isNodeDimmed(d));
+		if (!shape) return;
+
+		// Status rings: own statuses solid, rolled-up ones dashed
+		const statusOf = (d) => this.state.nodeStatuses.get(d.data.id);
+		for (const level of Object.keys(STATUS_LEVELS)) {
+			shape.classed(
+				`node--status-${level}`,
+				(d) => statusOf(d)?.status === level,
+			);
+		}
+		shape.classed("node--status-rollup", (d) => !!statusOf(d)?.source);
+	}
+
+	/**
+	 * Load the status document and keep reloading it so a local script can
+	 * update the overlay (see src/utils/status-feed.js)
+	 * Returns straight away; a failed poll is logged and the next one still runs.
+	 */
+	startStatusPolling() {
+		const interval = getPollInterval();
+
+		// Wait for each poll before scheduling the next, so slow ones never overlap
+		const poll = async () => {
+			try {
+				await this.loadStatus();
+			} catch (error) {
+				console.error("Failed to load the status document:", error);
+			}
+			if (interval > 0) setTimeout(poll, interval);
+		};
+		poll();
+	}
+
+	/**
+	 * Fetch the status document and apply it
+	 * @returns {Promise<void>}
+	 */
+	async loadStatus() {
+		this.applyStatus(await loadStatusDocument());
+	}
+
+	/**
+	 * Show a status document on the visualization, e.g. one pushed by the dev server
+	 * @param {Object|null} statusDocument - The document, or null to clear the overlay
+	 */
+	applyStatus(statusDocument) {
+		const root = this.state.nodes[0];
+		const selected = this.findNodeById(this.state.selectedNodeId);
+		const previous = selected && this.state.nodeStatuses.get(selected.data.id);
+
+		this.state.statusDocument = statusDocument;
+		this.state.statuses = indexStatuses(statusDocument);
+		this.state.nodeStatuses = root
+			? rollUpStatuses(root, this.state.statuses)
+			: new Map();
+
+		this.refreshNodeStyles();
+		this.renderStatusSummary();
+
+		// Only redraw the open panel when its status changed
+		const current = selected && this.state.nodeStatuses.get(selected.data.id);
+		if (selected && JSON.stringify(previous) !== JSON.stringify(current)) {
+			this.showNodeDetails(selected);
+		}
+	}
+
+	/**
+	 * Count the current view's statuses in the toolbar
+	 */
+	renderStatusSummary() {
+		const summary = d3.select("#statusSummary");
+		if (summary.empty()) return;
+
+		const { statusDocument, statuses, nodes } = this.state;
+		summary.attr("hidden", statusDocument ? null : "").html("");
+		if (!statusDocument) return;
+
+		const counts = d3.rollup(
+			nodes.filter((node) => statuses.has(node.data.id)),
+			(group) => group.length,
+			(node) => statuses.get(node.data.id).status,
+		);
+		const problems = Object.entries(STATUS_LEVELS)
+			.filter(([level]) => level !== "ok" && counts.has(level))
+			.reverse();
+
+		summary
+			.append("span")
+			.attr("class", "status-summary-label")
+			.text("Status:");
+		if (problems.length === 0) {
+			summary
+				.append("span")
+				.attr("class", "status-badge status-badge--ok")
+				.text("All operational");
+		}
+		for (const [level, { label }] of problems) {
+			summary
+				.append("span")
+				.attr("class", `status-badge status-badge--${level}`)
+				.text(`${counts.get(level)} ${label.toLowerCase()}`);
+		}
+
+		const updated = formatUpdated(statusDocument.updated);
+		if (updated) {
+			summary
+				.append("span")
+				.attr("class", "status-summary-updated")
+				.text(`updated ${updated}`);
+		}
+	}
+
+	/**
+	 * Fill the detail panel's status row
+	 * @param {Object} cell - D3 selection of the row's value cell
+	 * @param {Object} status - The node's effective status from rollUpStatuses
+	 */
+	renderStatus(cell, status) {
+		cell
+			.append("span")
+			.attr("class", `status-badge status-badge--${status.status}`)
+			.text(STATUS_LEVELS[status.status].label);
+
+		if (status.source) {
+			cell.append("span").attr("class", "node-details-inherited").text(" in ");
+			this.appendNodeLink(
+				cell.append("span"),
+				status.source.id,
+				this.findNodeById(status.source.id)?.data ?? null,
+			);
+		}
+		if (status.message) {
+			cell.append("div").attr("class", "status-message").text(status.message);
+		}
+
+		const updated = formatUpdated(status.updated);
+		if (updated) {
+			cell
+				.append("div")
+				.attr("class", "node-details-inherited")
+				.text(`Updated ${updated}`);
+		}
+	}
+
+	/**
+	 * Setup the "highlight unowned" toggle
+	 */
+	setupUnownedToggle() {
+		const toggle = document.getElementById("unownedToggle");
+		if (!toggle) return;
+
+		toggle.addEventListener("change", () => {
+			this.state.highlightUnowned = toggle.checked;
+			this.refreshNodeStyles();
+		});
+	}
+
+	/**
+	 * Show how many nodes of the current view have no owner
+	 */
+	updateUnownedCount() {
+		const count = this.state.nodes.filter((n) => !this.isNodeOwned(n)).length;
+		d3.select("#unownedCount").text(`(${count} of ${this.state.nodes.length})`);
+	}
+
+	/**
+	 * Get the change the diff report lists for a node
+	 * @param {Object} node - The hierarchy node
+	 * @returns {Object|undefined} - The change, if the node changed
+	 */
+	getNodeChange(node) {
+		return this.state.diffChanges.get(node.data.id);
+	}
+
+	/**
+	 * Load the diff report and offer the "show changes" toggle when there is one
+	 * @returns {Promise<void>}
+	 */
+	async loadDiff() {
+		const report = await loadDiffReport();
+		if (!report) return;
+
+		this.state.diffReport = report;
+		this.state.diffChanges = indexChanges(report);
+		d3.select("#diffToggleLabel").attr("hidden", null);
+		d3.select("#diffCount").text(`(${report.changes.length})`);
+	}
+
+	/**
+	 * Setup the "show changes" toggle
+	 */
+	setupDiffToggle() {
+		const toggle = document.getElementById("diffToggle");
+		if (!toggle) return;
+
+		toggle.addEventListener("change", () => {
+			this.state.showDiff = toggle.checked;
+			this.refreshNodeStyles();
+			this.renderDiffList();
+
+			const selected = this.findNodeById(this.state.selectedNodeId);
+			if (selected) this.showNodeDetails(selected);
+		});
+	}
+
+	/**
+	 * List the current view's changes in the info panel while diff mode is on
+	 */
+	renderDiffList() {
+		const section = d3.select("#diffSection");
+		const { diffReport, showDiff, currentView } = this.state;
+		if (section.empty()) return;
+
+		section.attr("hidden", showDiff && diffReport ? null : "");
+		const list = section.select("#diffList").html("");
+		if (!showDiff || !diffReport) return;
+
+		const changes = diffReport.changes.filter(
+			(change) => change.view === currentView,
+		);
+		if (changes.length === 0) {
+			list.append("li").attr("class", "diff-empty").text("No changes");
+			return;
+		}
+
+		for (const change of changes) {
+			const item = list.append("li").attr("class", "diff-item");
+			item
+				.append("span")
+				.attr("class", "diff-swatch")
+				.style("background", CHANGE_COLORS[change.type]);
+
+			// Removed nodes are gone: their closest surviving ancestor is shown
+			item
+				.append("a")
+				.attr("href", "#")
+				.text(change.name)
+				.on("click", (event) => {
+					event.preventDefault();
+					const target = this.findClosestNode(change.id);
+					this.focusNode(target);
+					this.showNodeDetails(target);
+				});
+			item
+				.append("div")
+				.attr("class", "diff-description")
+				.text(describeChange(change));
+		}
+	}
+
+	/**
+	 * Check whether a node passes the active tag filters
+	 * @param {Object} node - The hierarchy node
+	 * @returns {boolean} - True when no filter is active or the node matches
+	 */
+	isNodeTagMatch(node) {
+		const { tagFilters } = this.state;
+		return (
+			tagFilters.size === 0 || matchesTagFilters(getNodeTags(node), tagFilters)
+		);
+	}
+
+	/**
+	 * Turn a tag filter value on or off and update everything it narrows
+	 * @param {string} key - The tag key
+	 * @param {string} value - The tag value
+	 * @param {boolean} active - Whether nodes with the value should match
+	 */
+	setTagFilter(key, value, active) {
+		const { tagFilters } = this.state;
+		const values = tagFilters.get(key) || new Set();
+
+		if (active) {
+			values.add(value);
+			tagFilters.set(key, values);
+		} else {
+			values.delete(value);
+			if (values.size === 0) tagFilters.delete(key);
+		}
+
+		this.applyTagFilters();
+	}
+
+	/**
+	 * Re-apply the tag filters to the shapes, tree rows, facets and search
+	 */
+	applyTagFilters() {
+		this.refreshNodeStyles();
+		this.refreshTreeFilter();
+		this.renderTagFilters();
+		this.updateSearchResults();
+	}
+
+	/**
+	 * Dim the tree rows of nodes that don't match the tag filters
+	 */
+	refreshTreeFilter() {
+		d3.selectAll("#treeView .tree-node").classed(
+			"tree-node--dimmed",
+			(d) => !this.isNodeTagMatch(d),
+		);
+	}
+
+	/**
+	 * List the current view's tag keys and values with node counts
+	 * Active filter values stay listed, even at 0, so they can be turned off
+	 * in views that don't use them.
+	 */
+	renderTagFilters() {
+		const section = d3.select("#tagFilterSection");
+		if (section.empty()) return;
+
+		const { tagFilters } = this.state;
+		const facets = collectTagFacets(this.state.nodes);
+		for (const [key, values] of tagFilters) {
+			let facet = facets.find((f) => f.key === key);
+			if (!facet) {
+				facet = { key, values: [] };
+				facets.push(facet);
+			}
+			for (const value of values) {
+				if (!facet.values.some((v) => v.value === value)) {
+					facet.values.push({ value, count: 0 });
+				}
+			}
+		}
+
+		section.attr("hidden", facets.length > 0 ? null : "");
+		section
+			.select("#tagFilterClear")
+			.attr("hidden", tagFilters.size ? null : "");
+		const list = section.select("#tagFilterList").html("");
+
+		for (const { key, values } of facets) {
+			const group = list.append("fieldset").attr("class", "tag-facet");
+			group.append("legend").text(key);
+
+			for (const { value, count } of values) {
+				const option = group.append("label").attr("class", "tag-facet-option");
+				option
+					.append("input")
+					.attr("type", "checkbox")
+					.property("checked", !!tagFilters.get(key)?.has(value))
+					.on("change", (event) =>
+						this.setTagFilter(key, value, event.target.checked),
+					);
+				option.append("span").text(value);
+				option
+					.append("span")
+					.attr("class", "tag-facet-count")
+					.text(`(${count})`);
+			}
+		}
+	}
+
+	/**
+	 * Setup the button clearing every tag filter
+	 */
+	setupTagFilterClear() {
+		const button = document.getElementById("tagFilterClear");
+		if (!button) return;
+
+		button.addEventListener("click", () => {
+			this.state.tagFilters.clear();
+			this.applyTagFilters();
+		});
+	}
+
+	/**
+	 * Get the hierarchy an export draws
+	 * With tag filters active, only matching nodes and their ancestors are
+	 * kept; a node left without children keeps its size.
+	 * @returns {Object} - A d3.hierarchy root
+	 */
+	getExportRoot() {
+		const root = this.state.nodes[0];
+		if (this.state.tagFilters.size === 0) return root;
+
+		const prune = (node) => {
+			const children = (node.children || []).map(prune).filter(Boolean);
+			if (children.length === 0 && !this.isNodeTagMatch(node)) return null;
+
+			return children.length > 0
+				? { ...node.data, children }
+				: { ...node.data, children: undefined, size: node.value };
+		};
+
+		return d3
+			.hierarchy(
+				prune(root) ?? { ...root.data, children: undefined, size: root.value },
+			)
+			.sum((d) => d.size)
+			.sort((a, b) => b.value - a.value);
+	}
+
+	/**
+	 * Find the focused node in an export root
+	 * @param {Object} root - From getExportRoot
+	 * @returns {Object} - The focus, or its closest ancestor the tag filters
+	 * kept
+	 */
+	getExportFocus(root) {
+		const nodes = new Map(
+			root.descendants().map((node) => [node.data.id, node]),
+		);
+		return (
+			this.state.focus
+				.ancestors()
+				.map((node) => nodes.get(node.data.id))
+				.find(Boolean) ?? root
+		);
+	}
+
+	/**
+	 * Check if a node should be visible based on depth from focus
+	 * @param {Object} node - The node to check
+	 * @param {Object} focusNode - The currently focused node
+	 * @returns {boolean} - Whether the node should be visible
+	 */
+	isNodeVisibleAtDepth(node, focusNode) {
+		// Root is always visible
+		if (!node.parent) return true;
+
+		// Calculate depth relative to focus
+		let depthFromFocus = 0;
+		let currentNode = node;
+
+		// Traverse up until we hit focus or root
+		while (currentNode && currentNode !== focusNode) {
+			currentNode = currentNode.parent;
+			depthFromFocus++;
+		}
+
+		// If we hit the focus node, check if within 1 layer
+		if (currentNode === focusNode) {
+			return depthFromFocus <= 1;
+		}
+
+		// If focus is a descendant of this node, it should be visible
+		currentNode = focusNode;
+		while (currentNode && currentNode !== node) {
+			currentNode = currentNode.parent;
+		}
+
+		return currentNode === node;
+	}
+
+	/**
+	 * Setup background click to zoom out
+	 */
+	setupBackgroundZoom() {
+		const root = this.state.nodes[0];
+
+		this.d3Elements.svg
+			.style("background", "#d0e8ff") // Light blue background
+			.on("click", (event) => {
+				this.zoom(event, root);
+			});
+	}
+
+	/**
+	 * Zoom to a specific node
+	 * @param {Event} event - The triggering event
+	 * @param {Object} d - The target node (see getZoomableNode)
+	 * @param {Object} options - Zoom options
+	 * @param {number} options.duration - Transition length in ms (default: 750, 7500 with Alt)
+	 */
+	zoom(event, d, { duration = event?.altKey ? 7500 : 750 } = {}) {
+		const focus = this.getZoomableNode(d);
+		this.state.isZooming = true;
+		this.setFocus(focus);
+
+		const transition = d3
+			.transition()
+			.duration(duration)
+			.on("end", () => {
+				this.state.isZooming = false;
+			});
+
+		// The layout moves its own shapes; colors are the same in every layout
+		this.layout.zoom(focus, transition);
+		this.d3Elements.shape
+			.transition(transition)
+			.style("fill", (node) => this.getNodeFill(node));
+	}
+
+	/**
+	 * Make a node the focus and update what follows it, without animating
+	 * @param {Object} d - The new focus
+	 * @param {Object} options - Focus options
+	 * @param {boolean} options.replace - Replace the URL's history entry instead of pushing one
+	 */
+	setFocus(d, { replace = false } = {}) {
+		this.state.focus = d;
+		this.syncUrl(replace);
+		this.revealTreeNode(d);
+		this.highlightNode(null);
+
+		// Update color gradient based on new focus
+		this.updateColorGradient(d);
+		if (!this.state.colorEncoding) this.renderColorLegend();
+	}
+
+	/**
+	 * Get the node to zoom to for a target
+	 * A node the size metric gives no value has a zero-sized shape, which
+	 * can't be zoomed to; its closest ancestor with a value stands in.
+	 * @param {Object} node - The target node
+	 * @returns {Object} - The node itself, an ancestor, or the root
+	 */
+	getZoomableNode(node) {
+		return (
+			node.ancestors().find((ancestor) => ancestor.value > 0) ??
+			this.state.nodes[0]
+		);
+	}
+
+	/**
+	 * Zoom to a node and mark it active in the tree
+	 * Leaves are shown inside their parent so they keep their context.
+	 * @param {Object} node - The target node
+	 */
+	focusNode(node) {
+		const zoomTarget = node.children || !node.parent ? node : node.parent;
+		if (zoomTarget !== this.state.focus) {
+			this.zoom(null, zoomTarget);
+		}
+		this.highlightNode(node);
+		this.revealTreeNode(node);
+	}
+
+	/**
+	 * Setup window resize handler
+	 */
+	setupResizeHandler() {
+		// The handler reads the current state, so one listener serves every render
+		if (this.state.resizeHandlerAttached) return;
+		this.state.resizeHandlerAttached = true;
+
+		window.addEventListener("resize", () => {
+			this.initializeDimensions();
+			this.layout.resize();
+		});
+	}
+
+	/**
+	 * Get the manifest entry of a view
+	 * @param {string} viewType - The view type (its folder name)
+	 * @returns {Object|undefined} - The view entry
+	 */
+	getViewEntry(viewType) {
+		return this.state.views.find((view) => view.id === viewType);
+	}
+
+	/**
+	 * Get the view to open when the URL does not name a known one
+	 * @returns {string|undefined} - The default view type
+	 */
+	getDefaultView() {
+		const { views } = this.state;
+		return (views.find((view) => view.default) || views[0])?.id;
+	}
+
+	/**
+	 * Render one tab per generated view, in manifest order
+	 */
+	renderTabs() {
+		const tabs = d3
+			.select(".tabs-container")
+			.selectAll("button.tab")
+			.data(this.state.views, (view) => view.id)
+			.join("button")
+			.attr("type", "button")
+			.attr("class", "tab")
+			.attr("data-view", (view) => view.id)
+			.text((view) => view.name)
+			.on("click", async (_event, view) => {
+				// Load the selected view (also marks the tab as active)
+				await this.loadView(view.id);
+			});
+
+		tabs.order();
+		this.setActiveTab(this.state.currentView);
+		this.renderViewList();
+	}
+
+	/**
+	 * List the views from the manifest in the info panel, in tab order
+	 */
+	renderViewList() {
+		d3.select("#viewList")
+			.selectAll("li")
+			.data(this.state.views, (view) => view.id)
+			.join("li")
+			.text((view) => view.name)
+			.order();
+	}
+
+	/**
+	 * Mark the tab for a view as active
+	 * @param {string} viewType - The view type to activate
+	 */
+	setActiveTab(viewType) {
+		document.querySelectorAll(".tab").forEach((tab) => {
+			tab.classList.toggle(
+				"active",
+				tab.getAttribute("data-view") === viewType,
+			);
+		});
+	}
+
+	/**
+	 * Build the search index over every node of every view
+	 * @returns {Promise<void>}
+	 */
+	async buildSearchIndex() {
+		const entries = [];
+
+		for (const { id: viewType } of this.state.views) {
+			try {
+				const data = await buildFromView(viewType);
+				const root = d3.hierarchy(data);
+
+				root.each((node) => {
+					const nodeStack = getNodeStack(node);
+					const breadcrumb = nodeStack.map((n) => n.data.name).join(" → ");
+
+					entries.push({
+						viewType,
+						viewName: root.data.name,
+						data: node.data,
+						depth: node.depth,
+						breadcrumb,
+						tags: getNodeTags(node),
+						fields: {
+							name: node.data.name,
+							description: node.data.description,
+							owner: node.data.owner,
+							contact: node.data.contact,
+							path: breadcrumb,
+						},
+					});
+				});
+			} catch (error) {
+				console.error(`Failed to index view ${viewType}:`, error);
+			}
+		}
+
+		this.state.searchIndex = entries;
+	}
+
+	/**
+	 * Setup search input and result list handlers
+	 */
+	setupSearchHandler() {
+		const searchInput = document.getElementById("searchInput");
+		if (!searchInput) return;
+
+		searchInput.addEventListener("input", () => this.updateSearchResults());
+
+		searchInput.addEventListener("keydown", async (event) => {
+			const { searchResults, activeResult } = this.state;
+
+			if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+				event.preventDefault();
+				if (searchResults.length === 0) return;
+				const step = event.key === "ArrowDown" ? 1 : -1;
+				this.state.activeResult =
+					(activeResult + step + searchResults.length) % searchResults.length;
+				this.renderSearchResults();
+			} else if (event.key === "Enter" && activeResult >= 0) {
+				event.preventDefault();
+				await this.selectSearchResult(searchResults[activeResult].entry);
+			} else if (event.key === "Escape") {
+				searchInput.value = "";
+				this.state.searchResults = [];
+				this.highlightNode(null);
+				this.renderSearchResults();
+			}
+		});
+	}
+
+	/**
+	 * Search the index for the query in the search box
+	 * Only nodes matching the active tag filters are found.
+	 */
+	updateSearchResults() {
+		const searchInput = document.getElementById("searchInput");
+		if (!searchInput) return;
+
+		const { searchIndex, tagFilters } = this.state;
+		const entries =
+			tagFilters.size === 0
+				? searchIndex
+				: searchIndex.filter((entry) =>
+						matchesTagFilters(entry.tags, tagFilters),
+					);
+
+		this.state.searchResults = searchEntries(entries, searchInput.value);
+		this.state.activeResult = this.state.searchResults.length ? 0 : -1;
+		this.renderSearchResults();
+	}
+
+	/**
+	 * Render the ranked search result list
+	 */
+	renderSearchResults() {
+		const list = d3.select("#searchResults");
+		if (list.empty()) return;
+
+		const { searchResults, activeResult, currentView } = this.state;
+		const searchInput = document.getElementById("searchInput");
+		const hasQuery = !!searchInput?.value.trim();
+
+		list.html("").attr("hidden", hasQuery ? null : "");
+		if (!hasQuery) return;
+
+		if (searchResults.length === 0) {
+			list.append("li").attr("class", "search-empty").text("No matches");
+			return;
+		}
+
+		searchResults.forEach(({ entry }, index) => {
+			const item = list
+				.append("li")
+				.attr("class", "search-result")
+				.classed("search-result--active", index === activeResult)
+				.on("mousedown", (event) => {
+					// Keep focus in the input so keyboard navigation continues
+					event.preventDefault();
+				})
+				.on("click", async () => {
+					this.state.activeResult = index;
+					await this.selectSearchResult(entry);
+				});
+
+			const header = item.append("div").attr("class", "search-result-header");
+			header
+				.append("span")
+				.attr("class", "search-result-name")
+				.text(entry.data.name);
+			header
+				.append("span")
+				.attr("class", "search-result-badge")
+				.classed("search-result-badge--current", entry.viewType === currentView)
+				.text(entry.viewName);
+
+			item
+				.append("div")
+				.attr("class", "search-result-path")
+				.text(entry.breadcrumb);
+
+			if (entry.data.owner && entry.data.owner !== "Unknown") {
+				item
+					.append("div")
+					.attr("class", "search-result-owner")
+					.text(`Owner: ${entry.data.owner}`);
+			}
+		});
+	}
+
+	/**
+	 * Navigate to a search result: switch view, zoom and reveal it in the tree
+	 * @param {Object} entry - The selected search entry
+	 * @returns {Promise<void>}
+	 */
+	async selectSearchResult(entry) {
+		if (entry.viewType !== this.state.currentView) {
+			// Only the final zoom should create a history entry
+			await this.withoutUrlSync(() => this.loadView(entry.viewType));
+		}
+
+		const target = this.findNodeById(entry.data.id);
+		if (!target) return;
+
+		this.focusNode(target);
+		this.renderSearchResults();
+	}
+
+	/**
+	 * Get the folder path of a node below its view root
+	 * @param {Object} node - The hierarchy node
+	 * @returns {Array<string>} - Folder names below the root
+	 */
+	getNodePath(node) {
+		return node.data.id.split("/").slice(1);
+	}
+
+	/**
+	 * Find a node in the current view by its stable ID
+	 * @param {string} id - The node ID generated from its folder path
+	 * @returns {Object|undefined} - The matching hierarchy node
+	 */
+	findNodeById(id) {
+		return this.state.nodes.find((node) => node.data.id === id);
+	}
+
+	/**
+	 * Write the current view and focused node to the URL
+	 * @param {boolean} replace - Replace the history entry instead of pushing one
+	 */
+	syncUrl(replace = false) {
+		if (this.state.urlSyncPaused || !this.state.focus) return;
+
+		writeUrlState(
+			{
+				view: this.state.currentView,
+				path: this.getNodePath(this.state.focus),
+			},
+			{ replace },
+		);
+	}
+
+	/**
+	 * Run a callback without writing its navigation to the URL
+	 * @param {Function} callback - Sync or async callback
+	 * @returns {Promise<*>} - The callback result
+	 */
+	async withoutUrlSync(callback) {
+		const wasPaused = this.state.urlSyncPaused;
+		this.state.urlSyncPaused = true;
+		try {
+			return await callback();
+		} finally {
+			this.state.urlSyncPaused = wasPaused;
+		}
+	}
+
+	/**
+	 * Restore the view and focused node encoded in the URL
+	 * Falls back to the default view and its root for unknown values.
+	 * @returns {Promise<void>}
+	 */
+	async restoreFromUrl() {
+		const { view, path } = readUrlState();
+		const viewType = this.getViewEntry(view) ? view : this.getDefaultView();
+		if (!viewType) return;
+
+		await this.withoutUrlSync(async () => {
+			if (viewType !== this.state.currentView || !this.state.nodes.length) {
+				await this.loadView(viewType);
+			}
+
+			const target =
+				this.findNodeById([viewType, ...path].join("/")) || this.state.nodes[0];
+			if (target && target !== this.state.focus) {
+				this.zoom(null, target);
+			}
+		});
+
+		// Normalize the URL when it pointed at something that no longer exists
+		this.syncUrl(true);
+	}
+
+	/**
+	 * Setup browser back/forward navigation
+	 */
+	setupHistoryHandler() {
+		window.addEventListener("popstate", async () => {
+			await this.restoreFromUrl();
+		});
+	}
 
 	/**
 	 * Setup documentation link handler
@@ -575,9 +2455,6 @@ export default class App {
 			// Convert markdown to HTML
 			const htmlContent = marked.parse(markdown);
 
-			// Save the current content
-			const currentContent = infoPanel.innerHTML;
-
 			// Create documentation view
 			const docView = document.createElement("div");
 			docView.className = "documentation-view";
@@ -588,19 +2465,18 @@ export default class App {
 				</div>
 			`;
 
-			// Replace panel content
-			infoPanel.innerHTML = "";
+			// Hide the main panel content instead of replacing it, so its
+			// event handlers and state survive the round trip
+			infoPanel.querySelector(".documentation-view")?.remove();
+			infoPanel.classList.add("showing-docs");
 			infoPanel.appendChild(docView);
 
 			// Setup back button
 			const backButton = document.getElementById("backToMainView");
 			if (backButton) {
 				backButton.addEventListener("click", () => {
-					infoPanel.innerHTML = currentContent;
-					// Re-setup documentation handler after restoring content
-					this.setupDocumentationHandler();
-					// Re-render tree view
-					this.renderTreeView();
+					docView.remove();
+					infoPanel.classList.remove("showing-docs");
 				});
 			}
 		} catch (error) {
@@ -612,8 +2488,16 @@ export default class App {
 	 * Setup all event listeners
 	 */
 	setupEventListeners() {
-		this.setupTabHandlers();
 		this.setupDocumentationHandler();
+		this.setupSearchHandler();
+		this.setupHistoryHandler();
+		this.setupUnownedToggle();
+		this.setupDiffToggle();
+		this.setupTagFilterClear();
+		this.setupLayoutSelect();
+		this.setupSizeSelect();
+		this.setupColorSelect();
+		this.setupExportControls();
 	}
 
 	/**
@@ -625,6 +2509,13 @@ export default class App {
 		this.setupSVG();
 		this.setupD3Scales();
 		this.setupEventListeners();
-		await this.loadView("view-1");
+
+		this.state.views = await loadViews();
+		this.renderTabs();
+
+		await this.loadDiff();
+		await this.restoreFromUrl();
+		this.startStatusPolling();
+		await this.buildSearchIndex();
 	}
 }
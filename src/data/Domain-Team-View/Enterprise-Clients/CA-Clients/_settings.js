@@ -5,4 +5,7 @@
  * @owner?: Owner of the segment
  * @contactEmail?: Contact email for the segment
  */
-export default {};
+export default {
+	tags: { region: "CA" },
+	metrics: { headcount: 18, services: 9, monthlyIncidents: 2 },
+};
@@ -5,4 +5,7 @@
  * @owner?: Owner of the segment
  * @contactEmail?: Contact email for the segment
  */
-export default {};
+export default {
+	tags: { region: "EU" },
+	metrics: { headcount: 34, services: 21, monthlyIncidents: 5 },
+};
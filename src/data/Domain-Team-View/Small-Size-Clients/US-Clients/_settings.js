@@ -5,4 +5,7 @@
  * @owner?: Owner of the segment
  * @contactEmail?: Contact email for the segment
  */
-export default {};
+export default {
+	tags: { region: "US" },
+	metrics: { headcount: 21, services: 11, monthlyIncidents: 4 },
+};
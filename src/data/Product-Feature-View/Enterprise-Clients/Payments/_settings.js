@@ -4,5 +4,10 @@
  * @nodeColor?: Custom color for all child nodes in this segment
  * @owner?: Owner of the segment
  * @contactEmail?: Contact email for the segment
+ * @ownedBy?: Node ID of the owning team in another view
  */
-export default {};
+export default {
+	ownedBy: "Domain-Team-View/Enterprise-Clients/US-Clients/DB-Team",
+	tags: { tier: "1", compliance: ["PCI", "SOC2"] },
+	metrics: { revenueShare: 0.3 },
+};
@@ -7,4 +7,5 @@
  */
 export default {
 	name: "Time & Attendance",
+	metrics: { revenueShare: 0.05 },
 };
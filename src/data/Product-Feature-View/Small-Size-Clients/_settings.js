@@ -5,4 +5,6 @@
  * @owner?: Owner of the segment
  * @contactEmail?: Contact email for the segment
  */
-export default {};
+export default {
+	metrics: { revenueShare: 0.2 },
+};
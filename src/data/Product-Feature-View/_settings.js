@@ -4,7 +4,10 @@
  * @nodeColor?: Custom color for all child nodes in this segment
  * @owner?: Owner of the segment
  * @contactEmail?: Contact email for the segment
+ * @order?: Position of this view's tab (lower first)
+ * @defaultView?: Open this view when the URL does not name one
  */
 export default {
 	name: "Product Feature View",
+	order: 1,
 };
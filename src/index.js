@@ -4,4 +4,16 @@ import App from "./app.js";
 window.addEventListener("load", async () => {
 	const app = new App();
 	await app.render();
+
+	// Swap in regenerated data without reloading the page (dev server only).
+	// Event names match DATA_UPDATE_EVENT and STATUS_UPDATE_EVENT in
+	// build/vite-plugin-data-generator.js
+	if (import.meta.hot) {
+		import.meta.hot.on("master-compass:data-update", async (update) => {
+			await app.applyDataUpdate(update);
+		});
+		import.meta.hot.on("master-compass:status-update", (statusDocument) => {
+			app.applyStatus(statusDocument);
+		});
+	}
 });
@@ -0,0 +1,210 @@
+import * as d3 from "d3";
+import { getLabelClass, getNodeClass, nodeKey } from "./shared.js";
+
+/**
+ * Circle packing layout
+ * @description Nested circles sized by value. Zooming scales the focused
+ * circle to fill the canvas and reveals its children.
+ */
+export default class CirclePackLayout {
+	/**
+	 * @param {Object} app - The App instance owning the SVG, dimensions and state
+	 * @param {Object} options - Layout options
+	 * @param {boolean} options.showAll - Draw every node and label regardless of focus (used for exports)
+	 */
+	constructor(app, { showAll = false } = {}) {
+		this.app = app;
+		this.showAll = showAll;
+		this.pack = d3.pack().padding(2);
+		this.root = null;
+		this.view = null;
+		this.node = null;
+		this.circle = null;
+		this.text = null;
+	}
+
+	/**
+	 * Pack the hierarchy to fit the canvas
+	 */
+	layout() {
+		const { diameter, margin } = this.app.dimensions;
+
+		this.pack.size([diameter - margin, diameter - margin])(this.root);
+		this.app.d3Elements.g.attr(
+			"transform",
+			`translate(${diameter / 2}, ${diameter / 2})`,
+		);
+	}
+
+	/**
+	 * Draw one circle and label per node, zoomed to the current focus
+	 * @param {Object} root - The d3.hierarchy root, with values summed
+	 * @returns {d3.Selection} - The node circles
+	 */
+	render(root) {
+		const { focus } = this.app.state;
+		this.root = root;
+		this.layout();
+
+		// Create a group for each node (circles and labels move together)
+		this.node = this.app.d3Elements.g
+			.selectAll("g.node-group")
+			.data(root.descendants(), nodeKey)
+			.join("g")
+			.attr("class", "node-group");
+
+		this.circle = this.node.append("circle").attr("class", getNodeClass);
+		this.text = this.node.append("text").text((d) => d.data.name);
+
+		// The root starts zoomed out by 30% for a better overview
+		const v = this.getView(focus);
+		if (!focus.parent) v[2] *= 1.3;
+
+		this.zoomTo(v);
+		this.updateCircles(this.circle, focus);
+		this.updateLabels(focus, this.app.dimensions.diameter / v[2]);
+
+		return this.circle;
+	}
+
+	/**
+	 * Animate to a new focus
+	 * @param {Object} focus - The node to zoom to
+	 * @param {d3.Transition} transition - The zoom transition
+	 */
+	zoom(focus, transition) {
+		const v = this.getView(focus);
+
+		transition.tween("zoom", () => {
+			const i = d3.interpolateZoom(this.view, v);
+			return (t) => this.zoomTo(i(t));
+		});
+
+		this.updateCircles(this.circle.transition(transition), focus);
+		this.updateLabels(focus, this.app.dimensions.diameter / v[2]);
+	}
+
+	/**
+	 * Re-pack after the canvas size changed and keep the current focus
+	 */
+	resize() {
+		const { focus } = this.app.state;
+		this.layout();
+
+		const v = this.getView(focus);
+		this.zoomTo(v);
+		this.updateLabels(focus, this.app.dimensions.diameter / v[2]);
+	}
+
+	/**
+	 * Re-pack after node values changed and animate circles to their new size
+	 * @param {d3.Transition} transition - The transition to animate within
+	 * @param {Object} previousFocus - The focus before the values changed; the
+	 * App moves the focus up when the new values leave it with no circle
+	 */
+	relayout(transition, previousFocus = this.app.state.focus) {
+		const { focus } = this.app.state;
+		const { diameter } = this.app.dimensions;
+		const nodes = this.root.descendants();
+		const from = new Map(nodes.map((d) => [d, [d.x, d.y, d.r]]));
+
+		// Keep the current framing, e.g. the root's 30% zoom-out, unless the
+		// focus moved; a zero radius would also make the zoom divide by zero
+		const framing =
+			focus === previousFocus && focus.r > 0
+				? this.view[2] / this.getView(focus)[2]
+				: 1;
+		this.layout();
+		const v = this.getView(focus);
+		v[2] *= framing;
+
+		const moves = new Map(
+			nodes.map((d) => [d, d3.interpolateArray(from.get(d), [d.x, d.y, d.r])]),
+		);
+		const fromView = this.view;
+		transition.tween("relayout", () => {
+			const view = d3.interpolateArray(fromView, v);
+			return (t) => this.zoomTo(view(t), (d) => moves.get(d)(t));
+		});
+
+		this.updateCircles(this.circle.transition(transition), focus);
+		this.updateLabels(focus, diameter / v[2]);
+	}
+
+	/**
+	 * Get the view that fits a node's circle to the canvas
+	 * @param {Object} node - The hierarchy node
+	 * @returns {Array<number>} - The view parameters [x, y, diameter]
+	 */
+	getView(node) {
+		return [node.x, node.y, node.r * 2 + this.app.dimensions.margin];
+	}
+
+	/**
+	 * Apply zoom transformation
+	 * @param {Array} v - The view parameters [x, y, diameter]
+	 * @param {Function} position - Returns a node's [x, y, r] (default: its packed position)
+	 */
+	zoomTo(v, position = (d) => [d.x, d.y, d.r]) {
+		const { diameter } = this.app.dimensions;
+		const k = diameter / v[2];
+		this.view = v;
+
+		this.node.attr("transform", (d) => {
+			const [x, y] = position(d);
+			return `translate(${(x - v[0]) * k}, ${(y - v[1]) * k})`;
+		});
+
+		this.circle.attr("r", (d) => position(d)[2] * k);
+	}
+
+	/**
+	 * Show the focus, its ancestors and its children; hide everything else
+	 * @param {d3.Selection|d3.Transition} circles - The circles to update
+	 * @param {Object} focus - The focused node
+	 */
+	updateCircles(circles, focus) {
+		circles
+			.style("opacity", (d) => (this.isVisible(d, focus) ? 1 : 0))
+			.style("pointer-events", (d) =>
+				this.isVisible(d, focus) ? "auto" : "none",
+			);
+	}
+
+	/**
+	 * Check whether a node's circle is shown for a focus
+	 * @param {Object} node - The hierarchy node
+	 * @param {Object} focus - The focused node
+	 * @returns {boolean} - True when the circle is shown
+	 */
+	isVisible(node, focus) {
+		return this.showAll || this.app.isNodeVisibleAtDepth(node, focus);
+	}
+
+	/**
+	 * Update label visibility and positioning for all nodes
+	 * @param {Object} focus - The focused node
+	 * @param {number} k - Scale of the target view
+	 */
+	updateLabels(focus, k) {
+		const { showAll } = this;
+
+		this.text.each(function (node) {
+			// Show: root, focused node, or children of focused node, unless the
+			// size metric leaves the node without a circle
+			const shouldShow =
+				(showAll || !node.parent || node === focus || node.parent === focus) &&
+				node.r > 0;
+			// With every label shown, branch labels move up to clear their children
+			const needsTopPosition =
+				!node.parent || node === focus || (showAll && !!node.children);
+
+			d3.select(this)
+				.attr("class", getLabelClass(node, focus))
+				.style("fill-opacity", shouldShow ? 1 : 0)
+				.style("display", shouldShow ? "inline" : "none")
+				// Root and focused labels sit 25px below the top edge, children centred
+				.attr("dy", needsTopPosition ? -node.r * k + 25 : "0.3em");
+		});
+	}
+}
@@ -0,0 +1,204 @@
+import * as d3 from "d3";
+import { getLabelClass, getNodeClass, nodeKey } from "./shared.js";
+
+/**
+ * Vertical distance between sibling rows
+ */
+const ROW_HEIGHT = 28;
+
+/**
+ * Horizontal room kept free for the labels of the deepest column
+ */
+const LABEL_WIDTH = 180;
+
+/**
+ * Radius of each node's dot
+ */
+const NODE_RADIUS = 6;
+
+/**
+ * Horizontal collapsible tree (dendrogram) layout
+ * @description One column per level, read left to right. The focus and its
+ * ancestors are expanded and every other branch is collapsed, so zooming to
+ * a node expands it and collapses what is below the previous focus.
+ */
+export default class CollapsibleTreeLayout {
+	/**
+	 * @param {Object} app - The App instance owning the SVG, dimensions and state
+	 * @param {Object} options - Layout options
+	 * @param {boolean} options.showAll - Draw every node and label regardless of focus (used for exports)
+	 */
+	constructor(app, { showAll = false } = {}) {
+		this.app = app;
+		this.showAll = showAll;
+		this.tree = d3.tree();
+		this.root = null;
+		this.expanded = new Set();
+		this.visible = new Set();
+		this.transform = "";
+		this.link = null;
+		this.node = null;
+		this.circle = null;
+		this.text = null;
+
+		this.linkPath = d3
+			.linkHorizontal()
+			.x((d) => d.y)
+			.y((d) => d.x);
+	}
+
+	/**
+	 * Lay out the nodes that are visible for a focus
+	 * Collapsed nodes are placed on their closest visible ancestor, so they
+	 * grow out of it when expanded.
+	 * @param {Object} focus - The focused node
+	 */
+	layout(focus) {
+		const { width, height, margin } = this.app.dimensions;
+		const columnWidth = Math.max(
+			120,
+			(width - margin * 2 - LABEL_WIDTH) / Math.max(1, this.root.height),
+		);
+
+		this.expanded = new Set(
+			this.showAll ? this.root.descendants() : focus.ancestors(),
+		);
+		this.tree.nodeSize([ROW_HEIGHT, columnWidth]);
+
+		// Lay out a view of the hierarchy that stops at collapsed branches
+		const visibleTree = d3.hierarchy(this.root, (n) =>
+			this.expanded.has(n) ? n.children : null,
+		);
+		const laidOut = new Set();
+
+		this.tree(visibleTree).each((n) => {
+			n.data.x = n.x;
+			n.data.y = n.y;
+			laidOut.add(n.data);
+		});
+
+		this.root.eachBefore((n) => {
+			if (laidOut.has(n)) return;
+			n.x = n.parent.x;
+			n.y = n.parent.y;
+		});
+
+		this.visible = laidOut;
+
+		// Keep the focus vertically centred
+		this.transform = `translate(${margin * 2}, ${height / 2 - focus.x})`;
+	}
+
+	/**
+	 * Draw links, dots and labels for the current focus
+	 * @param {Object} root - The d3.hierarchy root, with values summed
+	 * @returns {d3.Selection} - The node dots
+	 */
+	render(root) {
+		const { focus } = this.app.state;
+		const { g } = this.app.d3Elements;
+		this.root = root;
+		this.layout(focus);
+		g.attr("transform", this.transform);
+
+		this.link = g
+			.append("g")
+			.attr("class", "tree-links")
+			.selectAll("path")
+			.data(root.descendants().slice(1), nodeKey)
+			.join("path")
+			.attr("class", "tree-link");
+
+		this.node = g
+			.selectAll("g.node-group")
+			.data(root.descendants(), nodeKey)
+			.join("g")
+			.attr("class", "node-group");
+
+		this.circle = this.node
+			.append("circle")
+			.attr("class", getNodeClass)
+			.attr("r", NODE_RADIUS);
+
+		this.text = this.node
+			.append("text")
+			.attr("x", NODE_RADIUS + 4)
+			.text((d) => d.data.name);
+
+		this.position(this.link, this.node);
+		this.update(this.link, this.circle, this.text, focus);
+
+		return this.circle;
+	}
+
+	/**
+	 * Animate to a new focus, expanding and collapsing branches
+	 * @param {Object} focus - The node to zoom to
+	 * @param {d3.Transition} transition - The zoom transition
+	 */
+	zoom(focus, transition) {
+		this.layout(focus);
+		this.app.d3Elements.g
+			.transition(transition)
+			.attr("transform", this.transform);
+
+		this.position(
+			this.link.transition(transition),
+			this.node.transition(transition),
+		);
+		this.update(
+			this.link.transition(transition),
+			this.circle.transition(transition),
+			this.text.transition(transition),
+			focus,
+		);
+	}
+
+	/**
+	 * Re-lay out after the canvas size changed and keep the current focus
+	 */
+	resize() {
+		this.layout(this.app.state.focus);
+		this.app.d3Elements.g.attr("transform", this.transform);
+		this.position(this.link, this.node);
+	}
+
+	/**
+	 * Move node groups and links to the current layout
+	 * @param {d3.Selection|d3.Transition} links - The link paths
+	 * @param {d3.Selection|d3.Transition} nodes - The node groups
+	 */
+	position(links, nodes) {
+		links.attr("d", (d) => this.linkPath({ source: d.parent, target: d }));
+		nodes.attr("transform", (d) => `translate(${d.y}, ${d.x})`);
+	}
+
+	/**
+	 * Show expanded branches, mark collapsed ones and place labels
+	 * @param {d3.Selection|d3.Transition} links - The link paths
+	 * @param {d3.Selection|d3.Transition} circles - The node dots
+	 * @param {d3.Selection|d3.Transition} texts - The labels
+	 * @param {Object} focus - The focused node
+	 */
+	update(links, circles, texts, focus) {
+		const isVisible = (d) => this.visible.has(d);
+
+		links.style("opacity", (d) => (isVisible(d) ? 1 : 0));
+
+		circles
+			.style("opacity", (d) => (isVisible(d) ? 1 : 0))
+			.style("pointer-events", (d) => (isVisible(d) ? "auto" : "none"));
+
+		// Collapsed branches get a ring, so they read as expandable
+		this.circle.classed(
+			"node--collapsed",
+			(d) => !!d.children && !this.expanded.has(d),
+		);
+
+		texts
+			.attr("class", (d) => getLabelClass(d, focus))
+			// Expanded nodes have a link leaving to the right, so lift their label above it
+			.attr("dy", (d) => (this.expanded.has(d) ? "-0.6em" : "0.35em"))
+			.style("fill-opacity", (d) => (isVisible(d) ? 1 : 0));
+	}
+}
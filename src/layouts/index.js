@@ -0,0 +1,46 @@
+import CirclePackLayout from "./circle-pack.js";
+import CollapsibleTreeLayout from "./collapsible-tree.js";
+import SunburstLayout from "./sunburst.js";
+import TreemapLayout from "./treemap.js";
+
+/**
+ * Layouts the visualization can be drawn with, in picker order
+ *
+ * Each layout is a class constructed with the App and `{ showAll }` (draw
+ * every node and label, for exports) that draws the d3.hierarchy from
+ * `prepareHierarchy` into the App's SVG group:
+ * - render(root) - Draws the hierarchy for `app.state.focus` and returns the
+ *   node shapes; the App attaches events, fill and dimming to them
+ * - zoom(focus, transition) - Animates to a new focus within the App's transition
+ * - resize() - Re-fits the drawing after `app.dimensions` changed
+ * - relayout(transition, previousFocus) - Optional; animates to new node
+ *   values after the App re-summed the hierarchy, and to a new focus when the
+ *   values left the previous one empty (the App redraws layouts without it)
+ *
+ * `sizeEncoding` names what node values drive in each layout, for the size
+ * legend; null when the layout doesn't show them.
+ */
+export const LAYOUTS = {
+	pack: {
+		label: "Circle packing",
+		Layout: CirclePackLayout,
+		sizeEncoding: "Circle area",
+	},
+	sunburst: {
+		label: "Sunburst",
+		Layout: SunburstLayout,
+		sizeEncoding: "Arc angle",
+	},
+	tree: {
+		label: "Collapsible tree",
+		Layout: CollapsibleTreeLayout,
+		sizeEncoding: null,
+	},
+	treemap: {
+		label: "Treemap",
+		Layout: TreemapLayout,
+		sizeEncoding: "Rectangle area",
+	},
+};
+
+export const DEFAULT_LAYOUT = "pack";
@@ -0,0 +1,35 @@
+/**
+ * Shared layout helpers
+ * @description Naming and classes used by every layout, so styling and
+ * interaction stay the same whichever layout is active
+ */
+
+/**
+ * Key function binding DOM elements to hierarchy nodes by ID
+ * @param {Object} node - The hierarchy node
+ * @returns {string} - The node ID
+ */
+export function nodeKey(node) {
+	return node.data.id;
+}
+
+/**
+ * Get the CSS class of a node's shape (circle, arc or rectangle)
+ * @param {Object} node - The hierarchy node
+ * @returns {string} - Space-separated class names
+ */
+export function getNodeClass(node) {
+	if (!node.parent) return "node node--root";
+	return node.children ? "node" : "node node--leaf";
+}
+
+/**
+ * Get the CSS class of a node's label
+ * @param {Object} node - The hierarchy node
+ * @param {Object} focus - The currently focused node
+ * @returns {string} - Space-separated class names
+ */
+export function getLabelClass(node, focus) {
+	if (!node.parent) return "label label--root";
+	return node === focus ? "label label--parent" : "label";
+}
@@ -0,0 +1,223 @@
+import * as d3 from "d3";
+import { getLabelClass, getNodeClass, nodeKey } from "./shared.js";
+
+/**
+ * Number of rings drawn from the centre: the focus disc plus two levels below it
+ */
+const RINGS = 3;
+
+/**
+ * Zoomable sunburst layout
+ * @description Each level is a ring around its parent, with angles
+ * proportional to value. The focus fills the centre disc, so deep paths read
+ * outwards from it.
+ */
+export default class SunburstLayout {
+	/**
+	 * @param {Object} app - The App instance owning the SVG, dimensions and state
+	 * @param {Object} options - Layout options
+	 * @param {boolean} options.showAll - Draw every node and label regardless of focus (used for exports)
+	 */
+	constructor(app, { showAll = false } = {}) {
+		this.app = app;
+		this.showAll = showAll;
+		this.rings = RINGS;
+		this.partition = d3.partition();
+		this.root = null;
+		this.radius = 0;
+		this.path = null;
+		this.text = null;
+		this.centerLabel = null;
+
+		// Arc coordinates relative to the focus, as currently drawn
+		this.current = new Map();
+
+		this.arc = d3
+			.arc()
+			.startAngle((c) => c.x0)
+			.endAngle((c) => c.x1)
+			.padAngle((c) => Math.min((c.x1 - c.x0) / 2, 0.005))
+			.padRadius(() => this.radius * 1.5)
+			.innerRadius((c) => c.y0 * this.radius)
+			.outerRadius((c) => Math.max(c.y0 * this.radius, c.y1 * this.radius - 1));
+	}
+
+	/**
+	 * Size the rings to fit the canvas
+	 */
+	layout() {
+		const { diameter, margin } = this.app.dimensions;
+
+		this.rings = this.showAll ? this.root.height + 1 : RINGS;
+		this.radius = (diameter - margin) / 2 / this.rings;
+		this.app.d3Elements.g.attr(
+			"transform",
+			`translate(${diameter / 2}, ${diameter / 2})`,
+		);
+	}
+
+	/**
+	 * Draw one arc per node and a label for those large enough
+	 * @param {Object} root - The d3.hierarchy root, with values summed
+	 * @returns {d3.Selection} - The node arcs
+	 */
+	render(root) {
+		const { focus } = this.app.state;
+		const { g } = this.app.d3Elements;
+		this.root = root;
+		this.layout();
+
+		// Angles span the full circle, radii count levels from the root
+		this.partition.size([2 * Math.PI, root.height + 1])(root);
+		this.current = new Map();
+		for (const node of root.descendants()) {
+			this.current.set(node, this.getTarget(node, focus));
+		}
+
+		this.path = g
+			.append("g")
+			.selectAll("path")
+			.data(root.descendants(), nodeKey)
+			.join("path")
+			.attr("class", getNodeClass)
+			.attr("d", (d) => this.arc(this.current.get(d)));
+
+		this.text = g
+			.append("g")
+			.selectAll("text")
+			.data(root.descendants(), nodeKey)
+			.join("text")
+			.attr("class", "label")
+			.attr("dy", "0.35em")
+			.attr("transform", (d) => this.getLabelTransform(this.current.get(d)))
+			.text((d) => d.data.name);
+
+		this.centerLabel = g.append("text").attr("dy", "0.35em");
+
+		this.update(this.path, this.text, focus);
+
+		return this.path;
+	}
+
+	/**
+	 * Animate to a new focus
+	 * @param {Object} focus - The node to zoom to
+	 * @param {d3.Transition} transition - The zoom transition
+	 */
+	zoom(focus, transition) {
+		const targets = new Map(
+			this.root
+				.descendants()
+				.map((node) => [node, this.getTarget(node, focus)]),
+		);
+
+		this.path
+			.transition(transition)
+			.tween("data", (d) => {
+				const i = d3.interpolate(this.current.get(d), targets.get(d));
+				return (t) => this.current.set(d, i(t));
+			})
+			.attrTween("d", (d) => () => this.arc(this.current.get(d)));
+
+		this.text
+			.transition(transition)
+			.attrTween(
+				"transform",
+				(d) => () => this.getLabelTransform(this.current.get(d)),
+			);
+
+		this.update(
+			this.path.transition(transition),
+			this.text.transition(transition),
+			focus,
+			(node) => targets.get(node),
+		);
+	}
+
+	/**
+	 * Redraw the rings after the canvas size changed
+	 */
+	resize() {
+		this.layout();
+		this.path.attr("d", (d) => this.arc(this.current.get(d)));
+		this.text.attr("transform", (d) =>
+			this.getLabelTransform(this.current.get(d)),
+		);
+	}
+
+	/**
+	 * Update arc and label visibility and the centre label for a focus
+	 * @param {d3.Selection|d3.Transition} paths - The arcs to update
+	 * @param {d3.Selection|d3.Transition} texts - The labels to update
+	 * @param {Object} focus - The focused node
+	 * @param {Function} getCoords - Returns a node's arc coordinates (default: as drawn)
+	 */
+	update(paths, texts, focus, getCoords = (node) => this.current.get(node)) {
+		paths
+			.style("opacity", (d) => (this.isArcVisible(getCoords(d)) ? 1 : 0))
+			.style("pointer-events", (d) =>
+				this.isArcVisible(getCoords(d)) ? "auto" : "none",
+			);
+
+		texts.style("fill-opacity", (d) =>
+			this.isLabelVisible(getCoords(d)) ? 1 : 0,
+		);
+
+		this.centerLabel
+			.attr("class", getLabelClass(focus, focus))
+			.text(focus.data.name);
+	}
+
+	/**
+	 * Get a node's arc coordinates when zoomed to a focus
+	 * Angles are rescaled so the focus spans the full circle; radii count
+	 * levels from the focus, which becomes the centre disc.
+	 * @param {Object} node - The hierarchy node
+	 * @param {Object} focus - The focused node
+	 * @returns {{x0: number, x1: number, y0: number, y1: number}} - Arc coordinates
+	 */
+	getTarget(node, focus) {
+		const span = focus.x1 - focus.x0;
+		const angle = (x) =>
+			Math.max(0, Math.min(1, (x - focus.x0) / span)) * 2 * Math.PI;
+
+		return {
+			x0: angle(node.x0),
+			x1: angle(node.x1),
+			y0: Math.max(0, node.y0 - focus.depth),
+			y1: Math.max(0, node.y1 - focus.depth),
+		};
+	}
+
+	/**
+	 * Check whether an arc is within the drawn rings and not collapsed
+	 * @param {Object} c - Arc coordinates
+	 * @returns {boolean} - True when the arc should be drawn
+	 */
+	isArcVisible(c) {
+		return c.y1 <= this.rings && c.y1 > c.y0 && c.x1 > c.x0;
+	}
+
+	/**
+	 * Check whether an arc is large enough to carry its label
+	 * The focus disc is labelled by the centre label instead, and showAll
+	 * labels every arc.
+	 * @param {Object} c - Arc coordinates
+	 * @returns {boolean} - True when the label should be shown
+	 */
+	isLabelVisible(c) {
+		const isLargeEnough = this.showAll || (c.y1 - c.y0) * (c.x1 - c.x0) > 0.03;
+		return c.y0 >= 1 && c.y1 <= this.rings && isLargeEnough;
+	}
+
+	/**
+	 * Place a label in the middle of its arc, rotated along the radius
+	 * @param {Object} c - Arc coordinates
+	 * @returns {string} - SVG transform
+	 */
+	getLabelTransform(c) {
+		const x = (((c.x0 + c.x1) / 2) * 180) / Math.PI;
+		const y = ((c.y0 + c.y1) / 2) * this.radius;
+		return `rotate(${x - 90}) translate(${y},0) rotate(${x < 180 ? 0 : 180})`;
+	}
+}
@@ -0,0 +1,166 @@
+import * as d3 from "d3";
+import { getLabelClass, getNodeClass, nodeKey } from "./shared.js";
+
+/**
+ * Space above each rectangle's children, holding its label
+ */
+const LABEL_HEIGHT = 28;
+
+/**
+ * Zoomable treemap layout
+ * @description The focus fills the canvas and its children are tiled inside
+ * it by value, which makes siblings easy to compare. Zooming re-tiles the new
+ * focus rather than scaling, so labels keep their size at every depth.
+ */
+export default class TreemapLayout {
+	/**
+	 * @param {Object} app - The App instance owning the SVG, dimensions and state
+	 * @param {Object} options - Layout options
+	 * @param {boolean} options.showAll - Draw every node and label regardless of focus (used for exports)
+	 */
+	constructor(app, { showAll = false } = {}) {
+		this.app = app;
+		this.showAll = showAll;
+		this.treemap = d3
+			.treemap()
+			.paddingOuter(4)
+			.paddingTop(LABEL_HEIGHT)
+			.paddingInner(3);
+		this.root = null;
+		this.node = null;
+		this.rect = null;
+		this.text = null;
+	}
+
+	/**
+	 * Tile a node's subtree to fill the canvas
+	 * d3.treemap only lays out from a hierarchy root, so it tiles a copy of the
+	 * subtree and the positions are copied back onto the shared nodes.
+	 * @param {Object} node - The node filling the canvas
+	 */
+	layout(node) {
+		const { width, height, margin } = this.app.dimensions;
+
+		this.treemap.size([width - margin, height - margin]);
+		this.app.d3Elements.g.attr(
+			"transform",
+			`translate(${margin / 2}, ${margin / 2})`,
+		);
+
+		const subtree = d3.hierarchy(node).each((n) => {
+			n.value = n.data.value;
+		});
+
+		this.treemap(subtree).each((n) => {
+			Object.assign(n.data, { x0: n.x0, y0: n.y0, x1: n.x1, y1: n.y1 });
+		});
+	}
+
+	/**
+	 * Draw one rectangle and label per node, tiled for the current focus
+	 * @param {Object} root - The d3.hierarchy root, with values summed
+	 * @returns {d3.Selection} - The node rectangles
+	 */
+	render(root) {
+		const { focus } = this.app.state;
+		this.root = root;
+
+		// Tile the whole tree first so nodes outside the focus have a position
+		this.layout(root);
+		if (focus !== root) this.layout(focus);
+
+		this.node = this.app.d3Elements.g
+			.selectAll("g.node-group")
+			.data(root.descendants(), nodeKey)
+			.join("g")
+			.attr("class", "node-group");
+
+		this.rect = this.node.append("rect").attr("class", getNodeClass);
+		this.text = this.node
+			.append("text")
+			.attr("x", 6)
+			.attr("y", LABEL_HEIGHT / 2)
+			.attr("dy", "0.35em")
+			.text((d) => d.data.name);
+
+		this.position(this.node, this.rect);
+		this.update(this.rect, this.text, focus);
+
+		return this.rect;
+	}
+
+	/**
+	 * Animate to a new focus
+	 * @param {Object} focus - The node to zoom to
+	 * @param {d3.Transition} transition - The zoom transition
+	 */
+	zoom(focus, transition) {
+		this.layout(focus);
+		this.position(
+			this.node.transition(transition),
+			this.rect.transition(transition),
+		);
+		this.update(
+			this.rect.transition(transition),
+			this.text.transition(transition),
+			focus,
+		);
+	}
+
+	/**
+	 * Re-tile after the canvas size changed and keep the current focus
+	 */
+	resize() {
+		const { focus } = this.app.state;
+
+		this.layout(this.root);
+		if (focus !== this.root) this.layout(focus);
+
+		this.position(this.node, this.rect);
+		this.update(this.rect, this.text, focus);
+	}
+
+	/**
+	 * Move node groups and size their rectangles to the current tiling
+	 * @param {d3.Selection|d3.Transition} nodes - The node groups
+	 * @param {d3.Selection|d3.Transition} rects - The node rectangles
+	 */
+	position(nodes, rects) {
+		nodes.attr("transform", (d) => `translate(${d.x0}, ${d.y0})`);
+		rects
+			.attr("width", (d) => Math.max(0, d.x1 - d.x0))
+			.attr("height", (d) => Math.max(0, d.y1 - d.y0));
+	}
+
+	/**
+	 * Show the focus and its children; label the ones wide enough
+	 * With showAll, the nested tiles of every level are shown and labelled.
+	 * @param {d3.Selection|d3.Transition} rects - The rectangles to update
+	 * @param {d3.Selection|d3.Transition} texts - The labels to update
+	 * @param {Object} focus - The focused node
+	 */
+	update(rects, texts, focus) {
+		const isVisible = (d) => this.showAll || d === focus || d.parent === focus;
+		const isLabelled = (d) =>
+			this.showAll || d === focus || (d.parent === focus && this.fitsLabel(d));
+
+		rects
+			.style("opacity", (d) => (isVisible(d) ? 1 : 0))
+			.style("pointer-events", (d) => (isVisible(d) ? "auto" : "none"));
+
+		texts
+			.attr("class", (d) => getLabelClass(d, focus))
+			.style("fill-opacity", (d) => (isLabelled(d) ? 1 : 0));
+	}
+
+	/**
+	 * Check whether a rectangle is large enough for its label
+	 * @param {Object} node - The hierarchy node
+	 * @returns {boolean} - True when the label fits
+	 */
+	fitsLabel(node) {
+		// Rough width estimate for the 14px label font
+		const labelWidth = node.data.name.length * 8 + 12;
+		return node.x1 - node.x0 > labelWidth && node.y1 - node.y0 > LABEL_HEIGHT;
+	}
+}
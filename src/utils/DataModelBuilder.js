@@ -3,6 +3,11 @@
  */
 const viewCache = {};
 
+/**
+ * Cache for loaded node documentation, per view
+ */
+const docsCache = {};
+
 /**
  * Build a hierarchical data model from a view folder
  * @param {string} viewName - The view folder name
@@ -31,3 +36,55 @@ export async function buildFromView(viewName) {
 		);
 	}
 }
+
+/**
+ * Load the manifest of generated views, in tab order
+ * @returns {Promise<Array<Object>>} - View entries with id, name and default flag
+ */
+export async function loadViews() {
+	try {
+		const manifest = await import("../generated/views.js");
+		return manifest.default || [];
+	} catch (error) {
+		console.error("Failed to load views manifest:", error);
+		throw new Error(
+			"Views manifest not found. Run the build to generate data models.",
+		);
+	}
+}
+
+/**
+ * Load the markdown documentation of every node in a view
+ * @param {string} viewName - The view folder name
+ * @returns {Promise<Object>} - Markdown keyed by node ID
+ */
+export async function loadViewDocs(viewName) {
+	if (docsCache[viewName]) {
+		return docsCache[viewName];
+	}
+
+	try {
+		const docsModule = await import(`../generated/docs/${viewName}.js`);
+		docsCache[viewName] = docsModule.default || {};
+		return docsCache[viewName];
+	} catch (error) {
+		console.error(`Failed to load docs for ${viewName}:`, error);
+		return {};
+	}
+}
+
+/**
+ * Replace the cached data and docs of a view, e.g. after a hot update
+ * @param {string} viewName - The view folder name
+ * @param {Object|null} data - The new view root, or null when the view was removed
+ * @param {Object|null} docs - The view's node documentation
+ */
+export function updateViewCache(viewName, data, docs) {
+	if (data) {
+		viewCache[viewName] = data;
+		docsCache[viewName] = docs || {};
+	} else {
+		delete viewCache[viewName];
+		delete docsCache[viewName];
+	}
+}
@@ -0,0 +1,201 @@
+import * as d3 from "d3";
+import {
+	formatMetricLabel,
+	formatMetricValue,
+	getMetricValues,
+} from "./metrics.js";
+import { getNodeTags } from "./tags.js";
+
+/**
+ * Colour-by helpers
+ * @description Colour nodes by owner, tag value or metric instead of depth
+ *
+ * A colour mode is written as a string so it fits a <select>: "depth",
+ * "owner", "tag:<key>" or "metric:<key>". Each mode other than depth (which
+ * the App draws itself) builds an encoding:
+ * - title - Legend heading
+ * - entries - Legend rows: `{ id, label, color, count }`
+ * - colorOf(node) - Fill of a node's shape
+ * - matches(node, id) - Whether a node belongs to a legend row
+ *
+ * Nodes are looked up by ID, so an encoding also colours copies of the view's
+ * nodes, such as the pruned hierarchy of a filtered export.
+ *
+ * Categories get colours in alphabetical order, so the same owner or tag
+ * value has the same colour everywhere in the view. Metrics colour leaves on
+ * a sequential scale split into bins; branches stay neutral because their
+ * totals aren't comparable with leaf values.
+ *
+ * @example
+ * const encoding = createColorEncoding(parseColorMode("tag:region"), nodes);
+ * shapes.style("fill", (d) => encoding.colorOf(d));
+ */
+
+/**
+ * Fill of nodes without a value in the active mode
+ */
+export const NEUTRAL_COLOR = "#d9d9d9";
+
+/**
+ * Legend row ID of nodes without a value
+ */
+export const MISSING_ENTRY = "";
+
+/**
+ * Categorical palette; colours repeat after the last one
+ */
+const PALETTE = [...d3.schemeTableau10, ...d3.schemeSet3];
+
+/**
+ * Number of bins the metric scale is split into
+ */
+const METRIC_BINS = 5;
+
+/**
+ * Split a colour mode string into its mode and key
+ * @param {string} value - e.g. "owner" or "tag:region"
+ * @returns {{mode: string, key: string|null}} - The mode and its tag or metric key
+ */
+export function parseColorMode(value) {
+	const [mode, ...key] = value.split(":");
+	return { mode, key: key.join(":") || null };
+}
+
+/**
+ * Build the encoding of a colour mode
+ * @param {Object} colorMode - From parseColorMode; not "depth"
+ * @param {Array<Object>} nodes - Hierarchy nodes of the view, root first
+ * @returns {Object} - The encoding (see the module description)
+ */
+export function createColorEncoding({ mode, key }, nodes) {
+	if (mode === "metric") return createMetricEncoding(key, nodes);
+
+	const valuesOf =
+		mode === "owner"
+			? (node) =>
+					node.data.owner && node.data.owner !== "Unknown"
+						? [node.data.owner]
+						: []
+			: (node) => getNodeTags(node).get(key) || [];
+
+	return createCategoryEncoding(
+		mode === "owner" ? "Owner" : `Tag: ${key}`,
+		mode === "owner" ? "No owner" : `No ${key}`,
+		nodes,
+		valuesOf,
+	);
+}
+
+/**
+ * Build a categorical encoding: one colour per distinct value
+ * A node with several values (a tag list) takes the colour of its first one
+ * and matches each of them.
+ * @param {string} title - Legend heading
+ * @param {string} missingLabel - Legend label of nodes without a value
+ * @param {Array<Object>} nodes - Hierarchy nodes of the view
+ * @param {Function} valuesOf - Returns a node's values
+ * @returns {Object} - The encoding
+ */
+function createCategoryEncoding(title, missingLabel, nodes, valuesOf) {
+	const values = new Map(nodes.map((node) => [node.data.id, valuesOf(node)]));
+	const counts = d3.rollup(
+		[...values.values()].flatMap((list) =>
+			list.length > 0 ? [...new Set(list)] : [MISSING_ENTRY],
+		),
+		(group) => group.length,
+		(value) => value,
+	);
+
+	const categories = [...counts.keys()]
+		.filter((value) => value !== MISSING_ENTRY)
+		.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+	const color = d3.scaleOrdinal(categories, PALETTE);
+
+	const entries = categories.map((value) => ({
+		id: value,
+		label: value,
+		color: color(value),
+		count: counts.get(value),
+	}));
+	if (counts.has(MISSING_ENTRY)) {
+		entries.push({
+			id: MISSING_ENTRY,
+			label: missingLabel,
+			color: NEUTRAL_COLOR,
+			count: counts.get(MISSING_ENTRY),
+		});
+	}
+
+	return {
+		title,
+		entries,
+		colorOf: (node) => {
+			const [first] = values.get(node.data.id) || [];
+			return first === undefined ? NEUTRAL_COLOR : color(first);
+		},
+		matches: (node, id) => {
+			const list = values.get(node.data.id) || [];
+			return id === MISSING_ENTRY ? list.length === 0 : list.includes(id);
+		},
+	};
+}
+
+/**
+ * Build a sequential encoding of a metric's leaf values
+ * @param {string} key - The metric name
+ * @param {Array<Object>} nodes - Hierarchy nodes of the view, root first
+ * @returns {Object} - The encoding
+ */
+function createMetricEncoding(key, nodes) {
+	// Keyed by ID so copies of the nodes (e.g. filtered exports) match too
+	const values = new Map(
+		[...getMetricValues(nodes[0].data, key)].map(([data, value]) => [
+			data.id,
+			value,
+		]),
+	);
+	const max = d3.max(values.values()) || 0;
+	const colors = d3.quantize(d3.interpolateYlOrRd, METRIC_BINS);
+
+	/**
+	 * Legend row of a node: its bin, MISSING_ENTRY, or null for branches
+	 * @param {Object} node - The hierarchy node
+	 * @returns {string|null} - The row ID
+	 */
+	const entryOf = (node) => {
+		if (node.children) return null;
+		const value = values.get(node.data.id);
+		if (!value) return MISSING_ENTRY;
+		return String(
+			Math.min(Math.floor((value / max) * METRIC_BINS), METRIC_BINS - 1),
+		);
+	};
+
+	const counts = d3.rollup(nodes, (group) => group.length, entryOf);
+	const entries = colors.map((color, bin) => ({
+		id: String(bin),
+		label: `${formatMetricValue((max * bin) / METRIC_BINS)}–${formatMetricValue((max * (bin + 1)) / METRIC_BINS)}`,
+		color,
+		count: counts.get(String(bin)) || 0,
+	}));
+	if (counts.has(MISSING_ENTRY)) {
+		entries.push({
+			id: MISSING_ENTRY,
+			label: "No value",
+			color: NEUTRAL_COLOR,
+			count: counts.get(MISSING_ENTRY),
+		});
+	}
+
+	return {
+		title: formatMetricLabel(key),
+		entries,
+		colorOf: (node) => {
+			const entry = entryOf(node);
+			return entry === null || entry === MISSING_ENTRY
+				? NEUTRAL_COLOR
+				: colors[Number(entry)];
+		},
+		matches: (node, id) => entryOf(node) === id,
+	};
+}
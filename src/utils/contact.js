@@ -0,0 +1,44 @@
+/**
+ * Contact link helpers
+ * @description Turns a node's `contact` value into a clickable link
+ *
+ * Supported contact formats:
+ * - Email addresses → mailto: links
+ * - http(s), slack: and msteams: URLs → used as-is
+ * - Chat channels like "#payments-team" → linked through a channel URL
+ *   template when one is configured (e.g. "https://acme.slack.com/app_redirect?channel={channel}")
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^(https?:\/\/|slack:\/\/|msteams:)/i;
+const CHANNEL_PATTERN = /^#[\w.-]+$/;
+
+/**
+ * Get the link target for a contact value
+ * @param {string} contact - The contact value from the data model
+ * @param {Object} options - Link options
+ * @param {string} options.channelUrlTemplate - URL with a "{channel}" placeholder for chat channels
+ * @returns {string|null} - The href, or null when the contact is not linkable
+ */
+export function getContactHref(contact, { channelUrlTemplate } = {}) {
+	if (!contact) return null;
+
+	const value = contact.trim();
+
+	if (EMAIL_PATTERN.test(value)) {
+		return `mailto:${value}`;
+	}
+
+	if (URL_PATTERN.test(value)) {
+		return value;
+	}
+
+	if (CHANNEL_PATTERN.test(value) && channelUrlTemplate) {
+		return channelUrlTemplate.replace(
+			"{channel}",
+			encodeURIComponent(value.slice(1)),
+		);
+	}
+
+	return null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Diff report helpers
+ * @description Loads the report written by `pnpm diff` and describes its
+ * changes for the diff overlay
+ *
+ * The report lives at public/compass-diff.json, so it is served next to the
+ * app. Without one, the overlay stays unavailable.
+ *
+ * @example
+ * const report = await loadDiffReport();
+ * const changes = indexChanges(report); // Map of node ID to change
+ */
+
+/**
+ * Fill colour of each change type
+ */
+export const CHANGE_COLORS = {
+	added: "#43a047",
+	removed: "#e53935",
+	moved: "#8e24aa",
+	renamed: "#fb8c00",
+	changed: "#fdd835",
+};
+
+/**
+ * Fetch the diff report, if one was generated
+ * @param {string} url - Location of the report
+ * @returns {Promise<Object|null>} - The report, or null when there is none
+ */
+export async function loadDiffReport(
+	url = `${import.meta.env.BASE_URL}compass-diff.json`,
+) {
+	try {
+		const response = await fetch(url);
+		if (!response.ok) return null;
+
+		const report = await response.json();
+		return Array.isArray(report.changes) ? report : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Index the changes of nodes that still exist by their current ID
+ * Removed nodes are left out: there is nothing left to colour.
+ * @param {Object} report - The diff report
+ * @returns {Map<string, Object>} - Node ID to its change
+ */
+export function indexChanges(report) {
+	return new Map(
+		report.changes
+			.filter((change) => change.type !== "removed")
+			.map((change) => [change.id, change]),
+	);
+}
+
+/**
+ * Describe a change in one short sentence
+ * @param {Object} change - A change from the diff report
+ * @returns {string} - e.g. "Moved from Enterprise-Clients/CA-Clients"
+ */
+export function describeChange(change) {
+	const previousPath = change.previousId?.split("/").slice(1).join("/");
+
+	switch (change.type) {
+		case "added":
+			return "Added";
+		case "removed":
+			return "Removed";
+		case "moved":
+			return `Moved from ${previousPath || change.previousId}`;
+		case "renamed":
+			return change.previousName
+				? `Renamed from "${change.previousName}"`
+				: `Renamed from ${previousPath}`;
+		default:
+			return `Changed ${change.fields.map(({ field }) => field).join(", ")}`;
+	}
+}
+
+/**
+ * Describe each changed field of a change
+ * @param {Object} change - A change from the diff report
+ * @returns {Array<string>} - e.g. ['owner: "Jane" → "Alex"']
+ */
+export function describeFieldChanges(change) {
+	return (change.fields || []).map(
+		({ field, before, after }) =>
+			`${field}: ${before ? `"${before}"` : "not set"} → ${after ? `"${after}"` : "not set"}`,
+	);
+}
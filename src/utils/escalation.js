@@ -0,0 +1,93 @@
+import { getNodeStack } from "./floating-tooltip.js";
+
+/**
+ * Escalation chain helpers
+ * @description Work out who to page next when a node's owner doesn't answer
+ *
+ * The chain starts at the selected node and walks up through its ancestors.
+ * Each level that sets its own owner or contact adds one tier; inherited
+ * values are skipped because they show up at the ancestor that sets them. A
+ * level's `escalation` setting replaces that tier with its own list, e.g. an
+ * on-call rotation followed by the team lead.
+ *
+ * @example
+ * const chain = buildEscalationChain(node);
+ * navigator.clipboard.writeText(formatEscalationSummary(node, chain));
+ */
+
+/**
+ * Build the escalation chain of a node
+ * @param {Object} node - The hierarchy node
+ * @returns {Array<Object>} - Tiers in paging order: `{ owner, contact, note, level }`,
+ * where `level` is the `{ id, name }` of the node the tier comes from
+ */
+export function buildEscalationChain(node) {
+	const chain = [];
+
+	for (const { data } of getNodeStack(node).reverse()) {
+		const level = { id: data.id, name: data.name };
+
+		for (const tier of getLevelTiers(data)) {
+			const entry = {
+				owner: tier.owner || null,
+				contact: tier.contact || null,
+				note: tier.note || null,
+				level,
+			};
+
+			// The same people twice in a row is no escalation
+			const previous = chain.at(-1);
+			if (
+				previous?.owner === entry.owner &&
+				previous?.contact === entry.contact
+			) {
+				continue;
+			}
+			chain.push(entry);
+		}
+	}
+
+	return chain;
+}
+
+/**
+ * Format an escalation chain as plain text for incident channels
+ * @param {Object} node - The hierarchy node the chain belongs to
+ * @param {Array<Object>} chain - Tiers from buildEscalationChain
+ * @returns {string} - One numbered line per tier, below the node's path
+ */
+export function formatEscalationSummary(node, chain) {
+	const path = getNodeStack(node)
+		.map(({ data }) => data.name)
+		.join(" → ");
+	const lines = [`Escalation for ${node.data.name} (${path})`];
+
+	if (chain.length === 0) {
+		lines.push("No owner or contact is set on this node or its ancestors.");
+	}
+
+	chain.forEach(({ owner, contact, note, level }, index) => {
+		const who = [owner, contact].filter(Boolean).join(" · ");
+		const details = note ? `${level.name}, ${note}` : level.name;
+		lines.push(`${index + 1}. ${who} (${details})`);
+	});
+
+	return lines.join("\n");
+}
+
+/**
+ * Get the tiers a single level contributes to the chain
+ * @param {Object} data - The node data
+ * @returns {Array<Object>} - The `escalation` setting, the node's own owner
+ * and contact, or nothing when both are inherited or unset
+ */
+function getLevelTiers(data) {
+	if (data.escalation) return data.escalation;
+
+	const owner = data.owner === "Unknown" ? undefined : data.owner;
+	const ownsLevel =
+		(owner && !data.inherited?.owner) ||
+		(data.contact && !data.inherited?.contact);
+
+	return ownsLevel ? [{ owner, contact: data.contact }] : [];
+}
@@ -200,6 +200,30 @@ export class FloatingTooltip {
 	}
 }
 
+/**
+ * Escape text for use in tooltip HTML content
+ * Use it for values from _settings.js, which may contain markup characters.
+ *
+ * @param {*} value - The text to escape
+ * @returns {string} The text with HTML special characters escaped
+ *
+ * @example
+ * tooltip.content(`<div>${escapeHtml(node.data.owner)}</div>`);
+ */
+export function escapeHtml(value) {
+	return String(value).replace(
+		/[&<>"']/g,
+		(char) =>
+			({
+				"&": "&amp;",
+				"<": "&lt;",
+				">": "&gt;",
+				'"': "&quot;",
+				"'": "&#39;",
+			})[char],
+	);
+}
+
 /**
  * Helper function to build a node stack (hierarchy path) for D3 hierarchical data
  * Useful for displaying breadcrumb-style tooltips showing the full path from root to current node
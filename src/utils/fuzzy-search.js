@@ -0,0 +1,106 @@
+/**
+ * Fuzzy search helpers for finding nodes across the loaded hierarchies
+ *
+ * Every query token must match at least one searchable field of an entry.
+ * Substring matches score higher than scattered (subsequence) matches, and
+ * matches at the start of a word score higher than matches in the middle.
+ *
+ * @example
+ * const results = searchEntries(entries, "eu db");
+ * results.forEach(({ entry, score }) => console.log(entry.breadcrumb, score));
+ */
+
+/**
+ * Relative weight of each searchable field
+ */
+export const FIELD_WEIGHTS = {
+	name: 3,
+	owner: 2,
+	contact: 2,
+	description: 1,
+	path: 0.5,
+};
+
+/**
+ * Score how well a single query token matches a piece of text
+ * @param {string} token - Lowercased query token
+ * @param {string} text - Text to match against
+ * @returns {number} - Match score, 0 when the token does not match
+ */
+export function fuzzyScore(token, text) {
+	if (!token || !text) return 0;
+
+	const haystack = String(text).toLowerCase();
+	const index = haystack.indexOf(token);
+
+	// Substring match: favour matches at the start of the text or of a word
+	if (index !== -1) {
+		let score = 100 - Math.min(index, 50) * 0.5;
+		if (index === 0) {
+			score += 50;
+		} else if (/\W/.test(haystack[index - 1])) {
+			score += 25;
+		}
+		if (haystack.length === token.length) score += 50;
+		return score;
+	}
+
+	// Subsequence match: every character must appear in order
+	let score = 0;
+	let previous = -1;
+	for (const char of token) {
+		const found = haystack.indexOf(char, previous + 1);
+		if (found === -1) return 0;
+
+		score += found === previous + 1 ? 4 : 1;
+		if (found === 0 || /\W/.test(haystack[found - 1])) score += 2;
+		previous = found;
+	}
+
+	// Keep scattered matches well below any substring match
+	return Math.min(score, 49);
+}
+
+/**
+ * Score an entry against all query tokens
+ * @param {Object} entry - Search entry with a `fields` map
+ * @param {Array<string>} tokens - Lowercased query tokens
+ * @returns {number} - Total score, 0 when any token has no match
+ */
+export function scoreEntry(entry, tokens) {
+	let total = 0;
+
+	for (const token of tokens) {
+		let best = 0;
+		for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+			best = Math.max(best, fuzzyScore(token, entry.fields[field]) * weight);
+		}
+		if (best === 0) return 0;
+		total += best;
+	}
+
+	return total;
+}
+
+/**
+ * Search entries and return the best matches, highest score first
+ * @param {Array<Object>} entries - Search entries with a `fields` map
+ * @param {string} query - Raw user query
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<{entry: Object, score: number}>} - Ranked results
+ */
+export function searchEntries(entries, query, limit = 20) {
+	const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+	if (tokens.length === 0) return [];
+
+	return entries
+		.map((entry) => ({ entry, score: scoreEntry(entry, tokens) }))
+		.filter((result) => result.score > 0)
+		.sort(
+			(a, b) =>
+				b.score - a.score ||
+				a.entry.depth - b.entry.depth ||
+				a.entry.breadcrumb.localeCompare(b.entry.breadcrumb),
+		)
+		.slice(0, limit);
+}
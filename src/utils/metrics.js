@@ -0,0 +1,103 @@
+/**
+ * Size metric helpers
+ * @description Size nodes by the named numbers in their `metrics` setting
+ *
+ * A metric is read from the deepest nodes that set it. Branches total their
+ * children, and a value set on a branch that nothing below it sets is shared
+ * equally between the branch's leaves. Leaves without a value get none, so
+ * their shapes are not drawn while the metric is active.
+ *
+ * The "uniform" option keeps the default sizing: every leaf the same, unless
+ * it sets `size`.
+ *
+ * @example
+ * const values = getMetricValues(viewRoot, "headcount");
+ * d3.hierarchy(viewRoot).sum((d) => values.get(d) ?? 0);
+ */
+
+/**
+ * Key of the default, metric-free sizing
+ */
+export const UNIFORM_METRIC = "uniform";
+
+/**
+ * List the metrics set anywhere in a generated view
+ * @param {Object} root - Generated view root
+ * @returns {Array<{key: string, label: string}>} - Metrics with a total above
+ * zero, sorted by label
+ */
+export function collectMetrics(root) {
+	const keys = new Set();
+
+	const visit = (node) => {
+		for (const [key, value] of Object.entries(node.metrics || {})) {
+			if (value > 0) keys.add(key);
+		}
+		for (const child of node.children || []) visit(child);
+	};
+	visit(root);
+
+	return [...keys]
+		.map((key) => ({ key, label: formatMetricLabel(key) }))
+		.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Work out each leaf's value for a metric
+ * @param {Object} root - Generated view root
+ * @param {string} key - The metric name
+ * @returns {Map<Object, number>} - Leaf node data to its value; leaves
+ * without a value are left out
+ */
+export function getMetricValues(root, key) {
+	const values = new Map();
+
+	// Returns whether the node or anything below it sets the metric
+	const visit = (node) => {
+		const setBelow = (node.children || []).map(visit).some((isSet) => isSet);
+		const own = node.metrics?.[key];
+
+		if (own !== undefined && !setBelow) {
+			const leaves = getLeaves(node);
+			for (const leaf of leaves) values.set(leaf, own / leaves.length);
+		}
+
+		return setBelow || own !== undefined;
+	};
+	visit(root);
+
+	return values;
+}
+
+/**
+ * Turn a metric name into a label, e.g. "monthlyIncidents" → "Monthly incidents"
+ * @param {string} key - The metric name
+ * @returns {string} - The label
+ */
+export function formatMetricLabel(key) {
+	const words = key
+		.replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+		.replace(/[-_]+/g, " ")
+		.trim()
+		.toLowerCase();
+	return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Format a metric value for labels and the legend
+ * @param {number} value - The value
+ * @returns {string} - Up to three significant digits, e.g. "1,230" or "0.15"
+ */
+export function formatMetricValue(value) {
+	return Number(value.toPrecision(3)).toLocaleString("en-US");
+}
+
+/**
+ * Get the leaves below a node (the node itself when it has no children)
+ * @param {Object} node - Generated node data
+ * @returns {Array<Object>} - Leaf node data
+ */
+function getLeaves(node) {
+	if (!node.children?.length) return [node];
+	return node.children.flatMap(getLeaves);
+}
@@ -0,0 +1,35 @@
+/**
+ * Node documentation helpers
+ * @description Resolves links between node _README.md files
+ *
+ * Relative links in a node's markdown are written against the folder
+ * structure, so they work when browsing the repository as well:
+ *
+ * @example
+ * // In Domain-Team-View/Enterprise-Clients/EU-Clients/DB-Team/_README.md
+ * resolveDocLink("../Ops-Team/_README.md", "Domain-Team-View/Enterprise-Clients/EU-Clients/DB-Team");
+ * // → "Domain-Team-View/Enterprise-Clients/EU-Clients/Ops-Team"
+ */
+
+/**
+ * Resolve a link in a node's documentation to the ID of another node
+ * @param {string} href - The raw link target from the markdown
+ * @param {string} baseId - ID of the node whose documentation contains the link
+ * @returns {string|null} - Target node ID, or null for external and in-page links
+ */
+export function resolveDocLink(href, baseId) {
+	// Leave absolute URLs, protocol-relative, root-relative and in-page links alone
+	if (!href || /^([a-z][a-z\d+.-]*:|\/|#)/i.test(href)) {
+		return null;
+	}
+
+	const base = new URL(`https://docs.invalid/${baseId}/`);
+	const { pathname } = new URL(href, base);
+
+	const id = decodeURIComponent(pathname)
+		.replace(/^\/+/, "")
+		.replace(/(^|\/)_README\.md$/, "")
+		.replace(/\/+$/, "");
+
+	return id || null;
+}
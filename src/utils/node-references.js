@@ -0,0 +1,49 @@
+/**
+ * Node reference helpers
+ * @description Follow `ownedBy` references between views
+ *
+ * A node's `ownedBy` lists the IDs of the nodes that own it, usually in
+ * another view (a product feature pointing at its team). The reverse, the
+ * nodes a team owns, is found by searching every view for references to it.
+ *
+ * @example
+ * findNode(domainTeamView, "Domain-Team-View/Enterprise-Clients/US-Clients/DB-Team");
+ * findReferencingNodes(Object.values(views), "Domain-Team-View/Enterprise-Clients");
+ */
+
+/**
+ * Find a node in a generated view by its ID
+ * @param {Object|null} root - Generated view root
+ * @param {string} id - The node ID
+ * @returns {Object|null} - The node data, or null when it is not in the view
+ */
+export function findNode(root, id) {
+	if (!root) return null;
+	if (root.id === id) return root;
+
+	// IDs are folder paths, so only the child on the way can hold the node
+	const child = root.children?.find(
+		(candidate) => id === candidate.id || id.startsWith(`${candidate.id}/`),
+	);
+	return child ? findNode(child, id) : null;
+}
+
+/**
+ * Find the nodes whose `ownedBy` points at a node
+ * @param {Array<Object>} roots - Generated view roots
+ * @param {string} id - The referenced node ID
+ * @returns {Array<Object>} - Data of the referencing nodes, in view order
+ */
+export function findReferencingNodes(roots, id) {
+	const found = [];
+
+	const visit = (node) => {
+		if (node.ownedBy?.includes(id)) found.push(node);
+		for (const child of node.children || []) visit(child);
+	};
+	for (const root of roots) {
+		if (root) visit(root);
+	}
+
+	return found;
+}
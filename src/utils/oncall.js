@@ -0,0 +1,267 @@
+import { getNodeStack } from "./floating-tooltip.js";
+
+/**
+ * On-call rotation helpers
+ * @description Work out who is on call for a node right now, from the
+ * browser clock and the node's `oncall` setting
+ *
+ * A rotation hands over every `rotationDays` days at `handoff` (a wall clock
+ * time in `timezone`), starting with the first member on `start`. Overrides
+ * cover a member for a period, e.g. a swap or holiday cover, and win over the
+ * rotation; of overlapping overrides the last one listed wins. A node without
+ * a rotation falls back to its closest ancestor's.
+ *
+ * @example
+ * const { rotation, source } = findRotation(node);
+ * resolveOncall(rotation); // { current: { name, until }, next: { name, from } }
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Defaults of optional rotation fields
+ */
+export const ONCALL_DEFAULTS = {
+	rotationDays: 7,
+	handoff: "09:00",
+	timezone: "UTC",
+};
+
+/**
+ * Find the rotation that covers a node: its own, or its closest ancestor's
+ * @param {Object} node - The hierarchy node
+ * @returns {{rotation: Object, source: Object}|null} - The rotation and the
+ * node data it is set on, or null when no node on the path has one
+ */
+export function findRotation(node) {
+	const source = getNodeStack(node)
+		.reverse()
+		.find(({ data }) => data.oncall);
+	return source ? { rotation: source.data.oncall, source: source.data } : null;
+}
+
+/**
+ * Resolve who is on call now and who takes over next
+ * @param {Object} rotation - An `oncall` setting
+ * @param {Date} now - The moment to resolve (default: the browser clock)
+ * @returns {{current: Object|null, next: Object|null}} - `current` is
+ * `{ name, contact, until }` (null before the rotation starts), `next` is
+ * `{ name, contact, from }` (null when nobody else is ever on call)
+ */
+export function resolveOncall(rotation, now = new Date()) {
+	const schedule = createSchedule(rotation);
+	const time = now.getTime();
+	const current = schedule.memberAt(time);
+
+	// Skip handoffs to the same person, e.g. an override for the next member
+	let from = schedule.changeAfter(time);
+	let next = from === null ? null : schedule.memberAt(from);
+	const maxSteps = rotation.members.length + (rotation.overrides?.length ?? 0);
+	for (let step = 0; next && next.name === current?.name; step++) {
+		if (step >= maxSteps) {
+			next = null;
+			break;
+		}
+		from = schedule.changeAfter(from);
+		next = from === null ? null : schedule.memberAt(from);
+	}
+
+	return {
+		current: current && { ...current, until: next ? new Date(from) : null },
+		next: next && { ...next, from: new Date(from) },
+	};
+}
+
+/**
+ * Format a handoff moment for display in the rotation's timezone
+ * @param {Date} date - The handoff moment
+ * @param {Object} rotation - The `oncall` setting
+ * @returns {string} - e.g. "Mon 9 Mar, 09:00 (Europe/Berlin)"
+ */
+export function formatHandoff(date, rotation) {
+	const timezone = rotation.timezone || ONCALL_DEFAULTS.timezone;
+	const formatted = new Intl.DateTimeFormat("en-GB", {
+		timeZone: timezone,
+		weekday: "short",
+		day: "numeric",
+		month: "short",
+		hour: "2-digit",
+		minute: "2-digit",
+		hourCycle: "h23",
+	}).format(date);
+	return `${formatted} (${timezone})`;
+}
+
+/**
+ * Build lookups over a rotation's shifts and overrides
+ * @param {Object} rotation - An `oncall` setting
+ * @returns {{memberAt: Function, changeAfter: Function}} - `memberAt(time)`
+ * returns `{ name, contact }` or null, `changeAfter(time)` the next moment
+ * the person on call may change (null when it never does)
+ */
+function createSchedule(rotation) {
+	const {
+		members,
+		start,
+		rotationDays = ONCALL_DEFAULTS.rotationDays,
+		handoff = ONCALL_DEFAULTS.handoff,
+		timezone = ONCALL_DEFAULTS.timezone,
+	} = rotation;
+
+	const startDay = toDayNumber(start);
+	const handoffAt = (day) => zonedTimeToUtc(day, handoff, timezone);
+	const overrides = (rotation.overrides || []).map((override) => ({
+		member: toMember(override.member),
+		start: parseLocalDateTime(override.start, handoff, timezone),
+		end: parseLocalDateTime(override.end, handoff, timezone),
+	}));
+
+	/**
+	 * Index of the shift covering a moment (negative before the start)
+	 * @param {number} time - Milliseconds since the epoch
+	 * @returns {number} - The shift index
+	 */
+	const shiftAt = (time) => {
+		const { day, minutes } = toZonedDay(time, timezone);
+		const days = day - startDay - (minutes < toMinutes(handoff) ? 1 : 0);
+		return Math.floor(days / rotationDays);
+	};
+
+	/**
+	 * Who is on call at a moment: an override, or the rotation's member
+	 * @param {number} time - Milliseconds since the epoch
+	 * @returns {Object|null} - The member, or null before the rotation starts
+	 */
+	const memberAt = (time) => {
+		const override = overrides.findLast(
+			({ start: from, end }) => from <= time && time < end,
+		);
+		if (override) return override.member;
+
+		const shift = shiftAt(time);
+		if (shift < 0) return null;
+		return toMember(members[shift % members.length]);
+	};
+
+	/**
+	 * The next handoff or override boundary after a moment
+	 * @param {number} time - Milliseconds since the epoch
+	 * @returns {number|null} - Milliseconds since the epoch, or null
+	 */
+	const changeAfter = (time) => {
+		const shift = Math.max(shiftAt(time) + 1, 0);
+		const candidates = [
+			handoffAt(startDay + shift * rotationDays),
+			...overrides.flatMap(({ start: from, end }) => [from, end]),
+		].filter((candidate) => candidate > time);
+
+		return candidates.length > 0 ? Math.min(...candidates) : null;
+	};
+
+	return { memberAt, changeAfter };
+}
+
+/**
+ * Normalize a rotation member to `{ name, contact }`
+ * @param {string|Object} member - A name, or `{ name, contact }`
+ * @returns {{name: string, contact: string|null}} - The member
+ */
+function toMember(member) {
+	return typeof member === "string"
+		? { name: member, contact: null }
+		: { name: member.name, contact: member.contact || null };
+}
+
+/**
+ * Parse an override boundary: a date (at the handoff time) or a date and time
+ * @param {string} value - "2026-03-02" or "2026-03-02T18:00", in the rotation's timezone
+ * @param {string} handoff - Handoff time used for plain dates
+ * @param {string} timezone - The rotation's timezone
+ * @returns {number} - Milliseconds since the epoch
+ */
+function parseLocalDateTime(value, handoff, timezone) {
+	const [date, time = handoff] = value.split("T");
+	return zonedTimeToUtc(toDayNumber(date), time, timezone);
+}
+
+/**
+ * Convert a wall clock time in a timezone to a UTC timestamp
+ * @param {number} day - Days since the epoch of the local calendar date
+ * @param {string} time - "HH:MM"
+ * @param {string} timezone - IANA timezone, e.g. "Europe/Berlin"
+ * @returns {number} - Milliseconds since the epoch
+ */
+function zonedTimeToUtc(day, time, timezone) {
+	const wallClock = day * DAY_MS + toMinutes(time) * 60 * 1000;
+
+	// The offset at the guess may differ from the offset at the result
+	// around DST changes, so correct once with the offset found there
+	const guess = wallClock - getOffset(wallClock, timezone);
+	return wallClock - getOffset(guess, timezone);
+}
+
+/**
+ * Get the local calendar day and time of day of a moment in a timezone
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timezone - IANA timezone
+ * @returns {{day: number, minutes: number}} - Days since the epoch and minutes after midnight
+ */
+function toZonedDay(time, timezone) {
+	const local = time + getOffset(time, timezone);
+	return {
+		day: Math.floor(local / DAY_MS),
+		minutes: Math.floor((local % DAY_MS) / 60000),
+	};
+}
+
+/**
+ * Get a timezone's offset from UTC at a moment
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getOffset(time, timezone) {
+	const parts = Object.fromEntries(
+		new Intl.DateTimeFormat("en-US", {
+			timeZone: timezone,
+			hourCycle: "h23",
+			year: "numeric",
+			month: "numeric",
+			day: "numeric",
+			hour: "numeric",
+			minute: "numeric",
+			second: "numeric",
+		})
+			.formatToParts(time)
+			.map(({ type, value }) => [type, Number(value)]),
+	);
+	const asUtc = Date.UTC(
+		parts.year,
+		parts.month - 1,
+		parts.day,
+		parts.hour,
+		parts.minute,
+		parts.second,
+	);
+	return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Convert a "YYYY-MM-DD" date to days since the epoch
+ * @param {string} date - The calendar date
+ * @returns {number} - Days since 1970-01-01
+ */
+function toDayNumber(date) {
+	const [year, month, day] = date.split("-").map(Number);
+	return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - The time of day
+ * @returns {number} - Minutes after midnight
+ */
+function toMinutes(time) {
+	const [hours, minutes] = time.split(":").map(Number);
+	return hours * 60 + minutes;
+}
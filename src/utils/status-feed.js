@@ -0,0 +1,185 @@
+/**
+ * Status feed helpers
+ * @description Load the status document that turns the map into a status
+ * board during incidents, and roll statuses up the hierarchy
+ *
+ * The document lives at public/compass-status.json, so a local script can
+ * rewrite it while the app polls it; during `pnpm dev` it can also be POSTed
+ * to the dev server, which pushes it to open pages straight away:
+ *
+ * {
+ *   "updated": "2026-03-02T09:40:00Z",
+ *   "statuses": {
+ *     "Domain-Team-View/Enterprise-Clients/US-Clients/DB-Team": {
+ *       "status": "down",
+ *       "message": "Primary database failing over",
+ *       "updated": "2026-03-02T09:38:00Z"
+ *     }
+ *   }
+ * }
+ *
+ * Keys are node IDs (their folder paths below src/data). A degraded or down
+ * node tints all its ancestors, so a problem deep in the tree is visible
+ * from the root.
+ *
+ * @example
+ * const statuses = indexStatuses(await loadStatusDocument());
+ * const effective = rollUpStatuses(root, statuses);
+ */
+
+/**
+ * Known statuses, from best to worst
+ * `rollsUp` statuses tint every ancestor of the node they are set on.
+ */
+export const STATUS_LEVELS = {
+	ok: { rank: 0, label: "Operational", rollsUp: false },
+	maintenance: { rank: 1, label: "Maintenance", rollsUp: false },
+	degraded: { rank: 2, label: "Degraded", rollsUp: true },
+	down: { rank: 3, label: "Down", rollsUp: true },
+};
+
+/**
+ * Poll interval when VITE_STATUS_POLL_INTERVAL is not set, in seconds
+ */
+const DEFAULT_POLL_INTERVAL = 30;
+
+/**
+ * Fetch the status document, if there is one
+ * @param {string} url - Location of the document
+ * @returns {Promise<Object|null>} - The document, or null when there is none
+ */
+export async function loadStatusDocument(
+	url = `${import.meta.env.BASE_URL}compass-status.json`,
+) {
+	try {
+		// The file changes under the app, so never answer from the cache
+		const response = await fetch(url, { cache: "no-store" });
+		if (!response.ok) return null;
+
+		const statusDocument = await response.json();
+		return isStatusDocument(statusDocument) ? statusDocument : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Check the shape of a status document
+ * @param {*} value - The parsed JSON
+ * @returns {boolean} - True when it has a `statuses` object
+ */
+export function isStatusDocument(value) {
+	return (
+		typeof value?.statuses === "object" &&
+		value.statuses !== null &&
+		!Array.isArray(value.statuses)
+	);
+}
+
+/**
+ * Index a status document's entries by node ID
+ * Entries with an unknown status are skipped with a console warning.
+ * @param {Object|null} statusDocument - The status document
+ * @returns {Map<string, Object>} - Node ID to `{ status, message, updated }`
+ */
+export function indexStatuses(statusDocument) {
+	const statuses = new Map();
+	if (!statusDocument) return statuses;
+
+	for (const [key, entry] of Object.entries(statusDocument.statuses)) {
+		if (!STATUS_LEVELS[entry?.status]) {
+			console.warn(
+				`Ignoring status of ${key}: unknown status "${entry?.status}"`,
+			);
+			continue;
+		}
+
+		statuses.set(key.trim().replace(/^\/+|\/+$/g, ""), {
+			status: entry.status,
+			message: entry.message || null,
+			updated: entry.updated || statusDocument.updated || null,
+		});
+	}
+
+	return statuses;
+}
+
+/**
+ * Work out every node's effective status
+ * A node shows its own status, or the worst degraded or down status below it
+ * when that is worse; the latter is marked as rolled up from its source.
+ * @param {Object} root - The d3.hierarchy root
+ * @param {Map<string, Object>} statuses - From indexStatuses
+ * @returns {Map<string, Object>} - Node ID to `{ status, message, updated,
+ * source }`; `source` is the `{ id, name }` of the node a rolled-up status
+ * comes from, null for the node's own status
+ */
+export function rollUpStatuses(root, statuses) {
+	const effective = new Map();
+	if (statuses.size === 0) return effective;
+
+	root.eachAfter((node) => {
+		const own = statuses.get(node.data.id);
+		let worst = own ? { ...own, source: null } : null;
+
+		for (const child of node.children || []) {
+			const status = effective.get(child.data.id);
+			if (!status || !STATUS_LEVELS[status.status].rollsUp) continue;
+			if (worst && rankOf(worst) >= rankOf(status)) continue;
+
+			worst = {
+				...status,
+				source: status.source || { id: child.data.id, name: child.data.name },
+			};
+		}
+
+		if (worst) effective.set(node.data.id, worst);
+	});
+
+	return effective;
+}
+
+/**
+ * Get the status poll interval
+ * @param {string|undefined} value - The configured interval in seconds
+ * @returns {number} - Milliseconds between polls; 0 when polling is off
+ */
+export function getPollInterval(
+	value = import.meta.env.VITE_STATUS_POLL_INTERVAL,
+) {
+	const seconds = value === undefined || value === "" ? NaN : Number(value);
+	const interval =
+		Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_POLL_INTERVAL;
+	return interval * 1000;
+}
+
+/**
+ * Describe how long ago a status was updated
+ * @param {string|null} updated - ISO timestamp
+ * @param {Date} now - The current time
+ * @returns {string|null} - e.g. "5 min ago", or null without a valid time
+ */
+export function formatUpdated(updated, now = new Date()) {
+	const time = Date.parse(updated);
+	if (Number.isNaN(time)) return null;
+
+	const minutes = Math.round((now.getTime() - time) / 60000);
+	if (minutes < 1) return "just now";
+	if (minutes < 60) return `${minutes} min ago`;
+	if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+	return new Date(time).toLocaleString("en-GB", {
+		day: "numeric",
+		month: "short",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+}
+
+/**
+ * Get the rank of a status
+ * @param {Object} entry - A status entry
+ * @returns {number} - Higher is worse
+ */
+function rankOf(entry) {
+	return STATUS_LEVELS[entry.status].rank;
+}
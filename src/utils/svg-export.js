@@ -0,0 +1,168 @@
+/**
+ * SVG export helpers
+ * @description Turns the live visualization into a standalone SVG or PNG file
+ *
+ * The app styles its SVG from CSS, which a downloaded file doesn't carry, so
+ * every element's computed style is copied inline before serializing.
+ * Elements hidden at the current zoom are left out of the file.
+ *
+ * @example
+ * const svgText = serializeSvg(svgElement, { width: 800, height: 600 });
+ * downloadBlob(await rasterizeSvg(svgText, { width: 800, height: 600, scale: 2 }), "compass.png");
+ */
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Computed style properties copied onto each exported element
+ */
+const INLINED_STYLES = [
+	"fill",
+	"fill-opacity",
+	"stroke",
+	"stroke-width",
+	"stroke-opacity",
+	"opacity",
+	"font-family",
+	"font-size",
+	"font-weight",
+	"text-anchor",
+	"text-shadow",
+];
+
+/**
+ * Serialize an SVG element with its computed styles inlined
+ * @param {SVGSVGElement} svg - The SVG element as rendered in the page
+ * @param {Object} options - Export options
+ * @param {number} options.width - Width of the exported image
+ * @param {number} options.height - Height of the exported image
+ * @param {string} options.viewBox - Area of the drawing to export (default: "0 0 width height")
+ * @param {string} options.background - Background colour (default: the SVG's own background)
+ * @returns {string} - A standalone SVG document
+ */
+export function serializeSvg(svg, { width, height, viewBox, background }) {
+	const clone = svg.cloneNode(true);
+	const sourceElements = [svg, ...svg.querySelectorAll("*")];
+	const cloneElements = [clone, ...clone.querySelectorAll("*")];
+	const hidden = [];
+
+	sourceElements.forEach((source, i) => {
+		const computed = window.getComputedStyle(source);
+		const target = cloneElements[i];
+
+		if (source !== svg && isHidden(source, computed)) {
+			hidden.push(target);
+			return;
+		}
+
+		target.removeAttribute("style");
+		for (const property of INLINED_STYLES) {
+			const value = computed.getPropertyValue(property);
+			if (value) target.style.setProperty(property, value);
+		}
+	});
+
+	hidden.forEach((element) => {
+		element.remove();
+	});
+
+	// XMLSerializer adds the SVG namespace; page classes mean nothing outside the app
+	clone.removeAttribute("class");
+	clone.setAttribute("width", width);
+	clone.setAttribute("height", height);
+	clone.setAttribute("viewBox", viewBox || `0 0 ${width} ${height}`);
+
+	// CSS backgrounds don't apply to standalone SVG, so paint one explicitly
+	const fill =
+		background ||
+		window.getComputedStyle(svg).getPropertyValue("background-color");
+	if (fill && fill !== "rgba(0, 0, 0, 0)") {
+		const [x, y] = (viewBox || "0 0").split(" ");
+		const rect = document.createElementNS(SVG_NAMESPACE, "rect");
+		rect.setAttribute("x", x);
+		rect.setAttribute("y", y);
+		rect.setAttribute("width", "100%");
+		rect.setAttribute("height", "100%");
+		rect.setAttribute("fill", fill);
+		clone.insertBefore(rect, clone.firstChild);
+	}
+
+	const markup = new XMLSerializer().serializeToString(clone);
+	return `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`;
+}
+
+/**
+ * Check whether an element is invisible and can be left out of the export
+ * Layouts hide labels with fill-opacity, so text counts as hidden then too.
+ * @param {Element} element - The rendered element
+ * @param {CSSStyleDeclaration} computed - Its computed style
+ * @returns {boolean} - True when the element is not visible
+ */
+function isHidden(element, computed) {
+	if (computed.display === "none" || computed.opacity === "0") return true;
+	return element.tagName === "text" && computed.fillOpacity === "0";
+}
+
+/**
+ * Rasterize an SVG document to a PNG image
+ * @param {string} svgText - The SVG document from serializeSvg
+ * @param {Object} options - Rasterizing options
+ * @param {number} options.width - Width of the SVG in CSS pixels
+ * @param {number} options.height - Height of the SVG in CSS pixels
+ * @param {number} options.scale - Pixel density multiplier (e.g. 2 for retina slides)
+ * @returns {Promise<Blob>} - The PNG image
+ */
+export function rasterizeSvg(svgText, { width, height, scale = 1 }) {
+	const url = URL.createObjectURL(
+		new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }),
+	);
+
+	return new Promise((resolve, reject) => {
+		const image = new Image();
+
+		image.onload = () => {
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.round(width * scale);
+			canvas.height = Math.round(height * scale);
+
+			const context = canvas.getContext("2d");
+			context.scale(scale, scale);
+			context.drawImage(image, 0, 0, width, height);
+			URL.revokeObjectURL(url);
+
+			canvas.toBlob((blob) => {
+				if (blob) {
+					resolve(blob);
+				} else {
+					reject(new Error("The browser could not encode the PNG"));
+				}
+			}, "image/png");
+		};
+
+		image.onerror = () => {
+			URL.revokeObjectURL(url);
+			reject(new Error("The browser could not render the exported SVG"));
+		};
+
+		image.src = url;
+	});
+}
+
+/**
+ * Offer a blob as a file download
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+
+	link.href = url;
+	link.download = filename;
+	document.body.append(link);
+	link.click();
+	link.remove();
+
+	// Give the browser a moment to start the download before releasing it
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
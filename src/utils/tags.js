@@ -0,0 +1,77 @@
+import { getNodeStack } from "./floating-tooltip.js";
+
+/**
+ * Tag filter helpers
+ * @description Facets and filtering over the `tags` setting
+ *
+ * Tags describe a node and everything below it: a node's effective tags are
+ * its ancestors' tags, with keys it sets itself replacing theirs. A value may
+ * be a single value or a list (e.g. `compliance: ["PCI", "SOC2"]`).
+ *
+ * Filters map a tag key to the accepted values. A node matches when, for
+ * every filtered key, it has at least one of the accepted values.
+ *
+ * @example
+ * const filters = new Map([["tier", new Set(["1"])]]);
+ * matchesTagFilters(getNodeTags(node), filters);
+ */
+
+/**
+ * Get the effective tags of a hierarchy node
+ * @param {Object} node - The hierarchy node
+ * @returns {Map<string, Array<string>>} - Tag key to its values
+ */
+export function getNodeTags(node) {
+	const tags = new Map();
+
+	for (const { data } of getNodeStack(node)) {
+		for (const [key, value] of Object.entries(data.tags || {})) {
+			tags.set(key, [value].flat().map(String));
+		}
+	}
+
+	return tags;
+}
+
+/**
+ * Check whether tags pass the active filters
+ * @param {Map<string, Array<string>>} tags - Effective tags from getNodeTags
+ * @param {Map<string, Set<string>>} filters - Accepted values per tag key
+ * @returns {boolean} - True when every filtered key has an accepted value
+ */
+export function matchesTagFilters(tags, filters) {
+	for (const [key, accepted] of filters) {
+		if (!tags.get(key)?.some((value) => accepted.has(value))) return false;
+	}
+	return true;
+}
+
+/**
+ * List the tag keys and values used in a hierarchy, with node counts
+ * @param {Array<Object>} nodes - Hierarchy nodes to count
+ * @returns {Array<{key: string, values: Array<{value: string, count: number}>}>} -
+ * Keys and values sorted alphabetically; a count is the number of nodes
+ * whose effective tags include the value
+ */
+export function collectTagFacets(nodes) {
+	const counts = new Map();
+
+	for (const node of nodes) {
+		for (const [key, values] of getNodeTags(node)) {
+			const valueCounts = counts.get(key) || new Map();
+			counts.set(key, valueCounts);
+			for (const value of new Set(values)) {
+				valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+			}
+		}
+	}
+
+	return [...counts.entries()]
+		.sort(([a], [b]) => a.localeCompare(b))
+		.map(([key, valueCounts]) => ({
+			key,
+			values: [...valueCounts.entries()]
+				.sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+				.map(([value, count]) => ({ value, count })),
+		}));
+}
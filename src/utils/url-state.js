@@ -0,0 +1,67 @@
+/**
+ * URL state helpers
+ * @description Keeps the current view and focused node in the location hash
+ *
+ * The hash is a slash-separated path: the view first, then the folder path of
+ * the focused node below the view root. Each segment is URI-encoded.
+ *
+ * @example
+ * // #/Domain-Team-View/Enterprise-Clients/EU-Clients/DB-Team
+ * writeUrlState({ view: "Domain-Team-View", path: ["Enterprise-Clients", "EU-Clients", "DB-Team"] });
+ * readUrlState(); // { view: "Domain-Team-View", path: ["Enterprise-Clients", "EU-Clients", "DB-Team"] }
+ */
+
+/**
+ * Build a location hash from a view and node path
+ * @param {Object} state - The state to encode
+ * @param {string} state.view - The view type (its folder name)
+ * @param {Array<string>} state.path - Node path below the view root
+ * @returns {string} - The hash, including the leading "#"
+ */
+export function buildUrlHash({ view, path = [] }) {
+	const segments = [view, ...path].map((segment) =>
+		encodeURIComponent(segment),
+	);
+	return `#/${segments.join("/")}`;
+}
+
+/**
+ * Read the view and node path from the current location hash
+ * @returns {{view: string|null, path: Array<string>}} - The decoded state
+ */
+export function readUrlState() {
+	const hash = window.location.hash.replace(/^#\/?/, "");
+	if (!hash) {
+		return { view: null, path: [] };
+	}
+
+	try {
+		const [view, ...path] = hash
+			.split("/")
+			.filter(Boolean)
+			.map((segment) => decodeURIComponent(segment));
+		return { view: view || null, path };
+	} catch (error) {
+		console.warn("Ignoring malformed URL hash:", error.message);
+		return { view: null, path: [] };
+	}
+}
+
+/**
+ * Write the view and node path to the location hash
+ * Does nothing when the hash already matches, so repeated zooms to the same
+ * node do not pile up history entries.
+ * @param {Object} state - The state to encode (see buildUrlHash)
+ * @param {Object} options - Write options
+ * @param {boolean} options.replace - Replace the current history entry instead of pushing
+ */
+export function writeUrlState(state, { replace = false } = {}) {
+	const hash = buildUrlHash(state);
+	if (hash === window.location.hash) return;
+
+	if (replace) {
+		window.history.replaceState(null, "", hash);
+	} else {
+		window.history.pushState(null, "", hash);
+	}
+}